@@ -2,8 +2,10 @@ const fs = require('fs/promises');
 const path = require('path');
 const { logWithTimestamp } = require('./utils');
 
+// Last message time per thread and user for one monitored forum
 class ActivityStore {
-    constructor() {
+    constructor(forumId) {
+        this.forumId = forumId;
         this.activity = {};
         this.storageFile = '';
         this.isInitialized = false;
@@ -11,18 +13,17 @@ class ActivityStore {
 
     async init() {
         try {
-            const mainChannelId = process.env.MAIN_CHANNEL_ID;
-            if (!mainChannelId) {
-                throw new Error('MAIN_CHANNEL_ID environment variable is not set');
+            if (!this.forumId) {
+                throw new Error('No forum ID given for activity storage');
             }
 
-            this.storageFile = path.join(__dirname, `ACTIVITY_DB_${mainChannelId}.json`);
+            this.storageFile = path.join(__dirname, `ACTIVITY_DB_${this.forumId}.json`);
 
             const data = await fs.readFile(this.storageFile, 'utf8').catch(() => '{}');
             this.activity = JSON.parse(data);
 
             this.isInitialized = true;
-            logWithTimestamp('Activity storage initialized', 'STARTUP');
+            logWithTimestamp(`Activity storage initialized for forum ${this.forumId}`, 'STARTUP');
         } catch (error) {
             logWithTimestamp(`Error initializing activity storage: ${error.message}`, 'ERROR');
             this.activity = {};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { logWithTimestamp } = require('./utils');
+const { ATTACHMENT_MAX_SIZE_MB } = require('./config');
+
+// Content fingerprints for uploaded files. Every file gets a SHA-256 of its bytes
+// (exact copies); images also get a 64-bit difference hash (dHash) that stays close
+// for re-encoded, resized or slightly cropped copies of the same picture.
+
+const DOWNLOAD_TIMEOUT = 30000; // 30 seconds
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+/**
+ * Download an attachment, refusing anything larger than maxBytes.
+ *
+ * @param {string} url
+ * @param {{maxBytes: number, timeoutMs: number}} options
+ * @returns {Promise<Buffer>}
+ */
+async function downloadAttachment(url, { maxBytes, timeoutMs }) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+        throw new Error(`Download failed (HTTP ${response.status})`);
+    }
+    const declared = Number(response.headers.get('content-length'));
+    if (declared > maxBytes) {
+        await response.body?.cancel();
+        throw new Error(`File is larger than ${ATTACHMENT_MAX_SIZE_MB} MB`);
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > maxBytes) {
+        throw new Error(`File is larger than ${ATTACHMENT_MAX_SIZE_MB} MB`);
+    }
+    return buffer;
+}
+
+/**
+ * Difference hash of an image: shrink to 9x8 grayscale and record, row by row,
+ * whether each pixel is brighter than its right neighbour. Returned as 16 hex digits.
+ *
+ * @param {Buffer} buffer  Encoded image (PNG, JPEG, WebP, GIF, ...)
+ * @returns {Promise<string>}
+ */
+async function perceptualHash(buffer) {
+    const { data, info } = await sharp(buffer, { animated: false })
+        .flatten({ background: '#ffffff' })
+        .grayscale()
+        .resize(DHASH_WIDTH, DHASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const pixel = (x, y) => data[(y * DHASH_WIDTH + x) * info.channels];
+    let hash = 0n;
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+        for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+            hash = (hash << 1n) | (pixel(x, y) > pixel(x + 1, y) ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two perceptual hashes (0 = identical, 64 = inverted).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number|null} null when either hash is missing
+ */
+function hashDistance(a, b) {
+    if (!a || !b) return null;
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let bits = 0;
+    while (diff > 0n) {
+        bits += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return bits;
+}
+
+/**
+ * Download a Discord attachment and fingerprint it.
+ *
+ * @param {import('discord.js').Attachment} attachment
+ * @param {Function} [download]  (url, {maxBytes, timeoutMs}) => Promise<Buffer>, replaceable for tests
+ * @returns {Promise<{sha256: string, phash: string|null, fileName: string, contentType: string|null, size: number, url: string}>}
+ */
+async function fingerprintAttachment(attachment, download = downloadAttachment) {
+    const maxBytes = ATTACHMENT_MAX_SIZE_MB * 1024 * 1024;
+    if (attachment.size > maxBytes) {
+        throw new Error(`File is larger than ${ATTACHMENT_MAX_SIZE_MB} MB`);
+    }
+
+    const buffer = await download(attachment.url, { maxBytes, timeoutMs: DOWNLOAD_TIMEOUT });
+    const contentType = attachment.contentType || null;
+
+    let phash = null;
+    if (contentType && contentType.startsWith('image/')) {
+        try {
+            phash = await perceptualHash(buffer);
+        } catch (error) {
+            logWithTimestamp(`Could not compute perceptual hash for ${attachment.name}: ${error.message}`, 'WARN');
+        }
+    }
+
+    return {
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        phash,
+        fileName: attachment.name,
+        contentType,
+        size: buffer.length,
+        url: attachment.url
+    };
+}
+
+module.exports = {
+    fingerprintAttachment,
+    downloadAttachment,
+    perceptualHash,
+    hashDistance
+};
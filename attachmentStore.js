@@ -0,0 +1,240 @@
+const { logWithTimestamp } = require('./utils');
+const { getDb } = require('./voting/db');
+const { hashDistance } = require('./attachmentFingerprint');
+const { ATTACHMENT_SIMILARITY } = require('./config');
+
+// Fingerprints of uploaded files, with the same owner and thread metadata as the
+// urls table so duplicate checks can apply the same scenarios to both.
+
+const ATTACHMENT_SCHEMA = `
+CREATE TABLE IF NOT EXISTS attachments (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  sha256            TEXT NOT NULL,
+  phash             TEXT,
+  file_name         TEXT,
+  content_type      TEXT,
+  size              INTEGER,
+  attachment_url    TEXT,
+  channel_id        TEXT NOT NULL,
+  thread_id         TEXT,
+  thread_name       TEXT,
+  forum_channel_id  TEXT,
+  guild_id          TEXT,
+  message_id        TEXT,
+  message_url       TEXT,
+  author_id         TEXT,
+  author_name       TEXT,
+  posted_at         INTEGER NOT NULL,
+  created_at        INTEGER NOT NULL,
+  status            TEXT NOT NULL DEFAULT 'active',
+  deleted_at        INTEGER,
+  UNIQUE(message_id, sha256)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_sha256  ON attachments(sha256, posted_at);
+CREATE INDEX IF NOT EXISTS idx_attachments_message ON attachments(message_id);
+`;
+
+// Similar-image candidates are narrowed with the perceptual hash split into 8 bands of
+// 8 bits (2 hex digits): two hashes at most 7 bits apart share at least one band exactly.
+// Each band has an expression index, so only rows sharing a band get their distance computed.
+const PHASH_BANDS = 8;
+const phashBand = band => `substr(phash, ${band * 2 + 1}, 2)`;
+const PHASH_BAND_SCHEMA = Array.from({ length: PHASH_BANDS }, (_, band) =>
+    `CREATE INDEX IF NOT EXISTS idx_attachments_phash_b${band} ON attachments(${phashBand(band)});`
+).join('\n');
+
+// Same ordering as the urls table: active records are the original, deleted ones only when nothing active remains
+const HISTORY_ORDER = "ORDER BY (status = 'deleted') ASC, posted_at ASC";
+
+class AttachmentStore {
+    constructor() {
+        this.db = null;
+        this.isInitialized = false;
+    }
+
+    init() {
+        this.db = getDb();
+        this.db.exec(ATTACHMENT_SCHEMA);
+        this.db.exec(PHASH_BAND_SCHEMA);
+        this.db.function('phash_distance', { deterministic: true }, hashDistance);
+        this.isInitialized = true;
+        logWithTimestamp('Attachment storage initialized', 'STARTUP');
+    }
+
+    // Thread, forum, poster and age conditions, as in UrlStorage._historyWhere()
+    _filterWhere(filter = {}) {
+        const conditions = [];
+        const params = [];
+        if (filter.threadId) {
+            conditions.push('thread_id = ?');
+            params.push(filter.threadId);
+        }
+        if (filter.forumChannelId) {
+            conditions.push('forum_channel_id = ?');
+            params.push(filter.forumChannelId);
+        }
+        if (filter.userId) {
+            conditions.push('author_id = ?');
+            params.push(filter.userId);
+        }
+        if (filter.since) {
+            conditions.push('posted_at >= ?');
+            params.push(filter.since);
+        }
+        return { conditions, params };
+    }
+
+    _toRecord(row) {
+        return {
+            id: row.id,
+            sha256: row.sha256,
+            phash: row.phash,
+            fileName: row.file_name,
+            contentType: row.content_type,
+            size: row.size,
+            url: row.attachment_url,
+            userId: row.author_id,
+            author: row.author_name,
+            channelId: row.channel_id,
+            threadId: row.thread_id,
+            threadName: row.thread_name,
+            forumChannelId: row.forum_channel_id,
+            guildId: row.guild_id,
+            messageId: row.message_id,
+            messageUrl: row.message_url,
+            timestamp: row.posted_at,
+            status: row.status,
+            deletedAt: row.deleted_at
+        };
+    }
+
+    /**
+     * Find the earlier upload of a file: an exact SHA-256 match first, otherwise the
+     * closest image within ATTACHMENT_SIMILARITY bits of the perceptual hash.
+     *
+     * @param {{sha256: string, phash: string|null}} fingerprint
+     * @param {{threadId?: string, forumChannelId?: string, userId?: string, since?: number}} filter
+     * @returns {Promise<object|null>} the record, with `match` ('exact' or 'similar') and `distance`
+     */
+    async findAttachmentHistory(fingerprint, filter = {}) {
+        if (!this.isInitialized) {
+            logWithTimestamp('Attachment storage not initialized', 'ERROR');
+            return null;
+        }
+
+        const { conditions, params } = this._filterWhere(filter);
+        const extra = conditions.map(condition => ` AND ${condition}`).join('');
+
+        const exact = this.db.prepare(`SELECT * FROM attachments WHERE sha256 = ?${extra} ${HISTORY_ORDER} LIMIT 1`)
+            .get(fingerprint.sha256, ...params);
+        if (exact) {
+            return { ...this._toRecord(exact), match: 'exact', distance: 0 };
+        }
+
+        if (!fingerprint.phash || ATTACHMENT_SIMILARITY <= 0) return null;
+
+        // Beyond 7 bits the bands cannot guarantee a shared one, so every image is a candidate
+        const banded = ATTACHMENT_SIMILARITY < PHASH_BANDS && /^[0-9a-f]{16}$/i.test(fingerprint.phash);
+        const bandCondition = banded
+            ? ` AND (${Array.from({ length: PHASH_BANDS }, (_, band) => `${phashBand(band)} = ?`).join(' OR ')})`
+            : '';
+        const bandParams = banded
+            ? Array.from({ length: PHASH_BANDS }, (_, band) => fingerprint.phash.substr(band * 2, 2).toLowerCase())
+            : [];
+
+        // Materialized so the distance is computed once per candidate, not again in the filter
+        const similar = this.db.prepare(`
+            WITH candidates AS MATERIALIZED (
+              SELECT *, phash_distance(phash, ?) AS distance FROM attachments
+              WHERE phash IS NOT NULL${bandCondition}${extra}
+            )
+            SELECT * FROM candidates
+            WHERE distance <= ?
+            ORDER BY (status = 'deleted') ASC, distance ASC, posted_at ASC
+            LIMIT 1
+        `).get(fingerprint.phash, ...bandParams, ...params, ATTACHMENT_SIMILARITY);
+        if (similar) {
+            return { ...this._toRecord(similar), match: 'similar', distance: similar.distance };
+        }
+        return null;
+    }
+
+    /**
+     * Store fingerprinted attachments.
+     *
+     * @param {object[]} records  URL record metadata (see urlRecord.js) plus the fingerprint fields
+     * @returns {Promise<number>} records added
+     */
+    async saveAttachments(records) {
+        if (!this.isInitialized) {
+            logWithTimestamp('Attachment storage not initialized', 'ERROR');
+            return 0;
+        }
+
+        const insert = this.db.prepare(`
+            INSERT OR IGNORE INTO attachments
+              (sha256, phash, file_name, content_type, size, attachment_url, channel_id, thread_id, thread_name,
+               forum_channel_id, guild_id, message_id, message_url, author_id, author_name, posted_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        let added = 0;
+        const saveTx = this.db.transaction(() => {
+            for (const record of records) {
+                added += insert.run(
+                    record.sha256,
+                    record.phash || null,
+                    record.fileName || null,
+                    record.contentType || null,
+                    record.size || null,
+                    record.url || null,
+                    record.threadId,
+                    record.threadId,
+                    record.threadName || null,
+                    record.forumChannelId || null,
+                    record.guildId,
+                    record.messageId,
+                    record.messageUrl || null,
+                    record.userId,
+                    record.author || null,
+                    record.timestamp || Date.now(),
+                    Date.now()
+                ).changes;
+            }
+        });
+        saveTx();
+
+        if (added > 0) {
+            logWithTimestamp(`Saved ${added} attachment fingerprint(s)`, 'INFO');
+        }
+        return added;
+    }
+
+    async deleteAttachment(id) {
+        if (!this.isInitialized) return false;
+        return this.db.prepare('DELETE FROM attachments WHERE id = ?').run(id).changes > 0;
+    }
+
+    // Counterpart of UrlStorage.markMessagesDeleted() for uploaded files
+    async markMessagesDeleted(messageIds, deletedAt = Date.now()) {
+        if (!this.isInitialized) return 0;
+
+        const markDeleted = this.db.prepare(
+            "UPDATE attachments SET status = 'deleted', deleted_at = ? WHERE message_id = ? AND status != 'deleted'"
+        );
+        let marked = 0;
+        const markTx = this.db.transaction(() => {
+            for (const messageId of messageIds) {
+                marked += markDeleted.run(deletedAt, messageId).changes;
+            }
+        });
+        markTx();
+
+        if (marked > 0) {
+            logWithTimestamp(`Marked ${marked} attachments as deleted from ${messageIds.length} message(s)`, 'INFO');
+        }
+        return marked;
+    }
+}
+
+module.exports = AttachmentStore;
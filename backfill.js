@@ -0,0 +1,393 @@
+const { EmbedBuilder, ChannelType } = require('discord.js');
+const { logWithTimestamp } = require('./utils');
+const { getDb } = require('./voting/db');
+const { extractUrls } = require('./urlExtractor');
+const { buildUrlRecord } = require('./urlRecord');
+const { MessageTemplates } = require('./templates');
+
+const PAGE_SIZE = 100;
+const PAGE_DELAY_MS = 250;
+const STATUS_UPDATE_INTERVAL_MS = 5000;
+const DEFAULT_MESSAGE_LIMIT = 5000; // per thread, 0 = whole history
+
+const BACKFILL_SCHEMA = `
+CREATE TABLE IF NOT EXISTS backfill_jobs (
+  id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+  channel_id         TEXT NOT NULL,
+  message_limit      INTEGER NOT NULL,
+  status             TEXT NOT NULL,
+  status_channel_id  TEXT,
+  status_message_id  TEXT,
+  requested_by       TEXT,
+  threads_total      INTEGER NOT NULL DEFAULT 0,
+  threads_done       INTEGER NOT NULL DEFAULT 0,
+  messages_scanned   INTEGER NOT NULL DEFAULT 0,
+  urls_found         INTEGER NOT NULL DEFAULT 0,
+  urls_added         INTEGER NOT NULL DEFAULT 0,
+  current_thread     TEXT,
+  error              TEXT,
+  created_at         INTEGER NOT NULL,
+  updated_at         INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS backfill_checkpoints (
+  job_id            INTEGER NOT NULL,
+  thread_id         TEXT NOT NULL,
+  thread_name       TEXT,
+  before_id         TEXT,
+  messages_scanned  INTEGER NOT NULL DEFAULT 0,
+  done              INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (job_id, thread_id),
+  FOREIGN KEY (job_id) REFERENCES backfill_jobs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_backfill_jobs_status ON backfill_jobs(status);
+`;
+
+const STATUS_COLORS = {
+    running: '#0099ff',
+    paused: '#f2b518',
+    completed: '#2ecc71',
+    cancelled: '#8a8aaa',
+    failed: '#ff0000'
+};
+
+/**
+ * List every thread of a forum or text channel: active threads plus all archived
+ * public threads (paged through until Discord reports no more).
+ *
+ * @param {import('discord.js').ForumChannel|import('discord.js').TextChannel} channel
+ * @returns {Promise<import('discord.js').ThreadChannel[]>}
+ */
+async function listChannelThreads(channel) {
+    const threads = new Map();
+
+    const active = await channel.threads.fetchActive();
+    for (const [id, thread] of active.threads) {
+        if (thread.parentId === channel.id) threads.set(id, thread);
+    }
+
+    let before;
+    let hasMore = true;
+    while (hasMore) {
+        const archived = await channel.threads.fetchArchived({ type: 'public', before, limit: PAGE_SIZE });
+        for (const [id, thread] of archived.threads) {
+            threads.set(id, thread);
+        }
+        hasMore = archived.hasMore && archived.threads.size > 0;
+        if (hasMore) {
+            before = archived.threads.last();
+            await new Promise(resolve => setTimeout(resolve, PAGE_DELAY_MS));
+        }
+    }
+
+    return [...threads.values()];
+}
+
+/**
+ * Fetch one page of messages older than `before` (newest first).
+ */
+async function fetchMessagePage(channel, before, limit = PAGE_SIZE) {
+    const options = { limit: Math.min(PAGE_SIZE, limit) };
+    if (before) options.before = before;
+    return channel.messages.fetch(options);
+}
+
+class BackfillManager {
+    constructor(client, urlStore) {
+        this.client = client;
+        this.urlStore = urlStore;
+        this.templates = new MessageTemplates();
+        this.db = null;
+        this.activeJobId = null;
+        this.lastStatusUpdate = 0;
+    }
+
+    /**
+     * Create tables and resume any job that was running when the bot stopped.
+     */
+    async init() {
+        this.db = getDb();
+        this.db.exec(BACKFILL_SCHEMA);
+
+        const interrupted = this.db.prepare("SELECT * FROM backfill_jobs WHERE status = 'running' ORDER BY id").all();
+        for (const job of interrupted) {
+            if (this.activeJobId) {
+                // Only one job runs at a time - leave the rest paused for manual resume
+                this._updateJob(job.id, { status: 'paused' });
+                continue;
+            }
+            logWithTimestamp(`Resuming interrupted backfill job #${job.id} for channel ${job.channel_id}`, 'STARTUP');
+            this._run(job.id);
+        }
+    }
+
+    _getJob(jobId) {
+        return this.db.prepare('SELECT * FROM backfill_jobs WHERE id = ?').get(jobId);
+    }
+
+    _latestJob() {
+        return this.db.prepare('SELECT * FROM backfill_jobs ORDER BY id DESC LIMIT 1').get();
+    }
+
+    _updateJob(jobId, fields) {
+        const keys = Object.keys(fields);
+        const assignments = keys.map(key => `${key} = ?`).join(', ');
+        this.db.prepare(`UPDATE backfill_jobs SET ${assignments}, updated_at = ? WHERE id = ?`)
+            .run(...keys.map(key => fields[key]), Date.now(), jobId);
+    }
+
+    /**
+     * Start a new backfill job. Returns the job row, or null if another job is active.
+     *
+     * @param {string} channelId  Forum or text channel to scan
+     * @param {number} messageLimit  Messages per thread (0 = whole history)
+     * @param {import('discord.js').Message} statusMessage  Message that is edited with progress
+     * @param {string} requestedBy  User ID of the admin who started it
+     */
+    async start(channelId, messageLimit, statusMessage, requestedBy) {
+        if (this.activeJobId) return null;
+
+        const channel = await this.client.channels.fetch(channelId).catch(() => null);
+        if (!channel) {
+            throw new Error('Channel not found or bot has no access to it.');
+        }
+
+        const now = Date.now();
+        const result = this.db.prepare(`
+            INSERT INTO backfill_jobs
+              (channel_id, message_limit, status, status_channel_id, status_message_id, requested_by, created_at, updated_at)
+            VALUES (?, ?, 'running', ?, ?, ?, ?, ?)
+        `).run(
+            channelId,
+            Number.isInteger(messageLimit) && messageLimit >= 0 ? messageLimit : DEFAULT_MESSAGE_LIMIT,
+            statusMessage?.channel.id || null,
+            statusMessage?.id || null,
+            requestedBy || null,
+            now,
+            now
+        );
+        const jobId = Number(result.lastInsertRowid);
+        this.activeJobId = jobId;
+
+        // Discover threads up front so progress can show "n of m"
+        let targets;
+        try {
+            targets = [ChannelType.GuildForum, ChannelType.GuildText, ChannelType.GuildAnnouncement].includes(channel.type)
+                ? await listChannelThreads(channel)
+                : [];
+        } catch (error) {
+            this.activeJobId = null;
+            this._updateJob(jobId, { status: 'failed', error: error.message });
+            throw error;
+        }
+        const insertCheckpoint = this.db.prepare(
+            'INSERT OR IGNORE INTO backfill_checkpoints (job_id, thread_id, thread_name) VALUES (?, ?, ?)'
+        );
+        const seedTx = this.db.transaction(() => {
+            // Messages of a text channel itself are scanned as one more "thread"
+            if (channel.type !== ChannelType.GuildForum) {
+                insertCheckpoint.run(jobId, channel.id, channel.name || channel.id);
+            }
+            for (const thread of targets) {
+                insertCheckpoint.run(jobId, thread.id, thread.name);
+            }
+        });
+        seedTx();
+
+        const threadsTotal = this.db.prepare('SELECT COUNT(*) AS count FROM backfill_checkpoints WHERE job_id = ?').get(jobId).count;
+        this._updateJob(jobId, { threads_total: threadsTotal });
+        logWithTimestamp(`Backfill job #${jobId} started for channel ${channelId}: ${threadsTotal} thread(s), limit ${messageLimit || 'none'}`, 'INFO');
+
+        this._run(jobId);
+        return this._getJob(jobId);
+    }
+
+    pause() {
+        if (!this.activeJobId) return null;
+        this._updateJob(this.activeJobId, { status: 'paused' });
+        return this._getJob(this.activeJobId);
+    }
+
+    cancel() {
+        const job = this.activeJobId
+            ? this._getJob(this.activeJobId)
+            : this.db.prepare("SELECT * FROM backfill_jobs WHERE status = 'paused' ORDER BY id DESC LIMIT 1").get();
+        if (!job) return null;
+        this._updateJob(job.id, { status: 'cancelled' });
+        if (!this.activeJobId) {
+            this._updateStatusMessage(job.id, true);
+        }
+        return this._getJob(job.id);
+    }
+
+    resume(statusMessage) {
+        // A job paused moments ago may still be finishing its current page. Setting it back
+        // to running lets that run carry on instead of starting a second one.
+        const job = this.getResumable();
+        if (!job) return null;
+
+        const fields = { status: 'running' };
+        if (statusMessage) {
+            fields.status_channel_id = statusMessage.channel.id;
+            fields.status_message_id = statusMessage.id;
+        }
+        this._updateJob(job.id, fields);
+        if (!this.activeJobId) {
+            this._run(job.id);
+        }
+        return this._getJob(job.id);
+    }
+
+    // The job resume() continues: the active one if it was just paused, else the latest paused one
+    getResumable() {
+        const job = this.activeJobId
+            ? this._getJob(this.activeJobId)
+            : this.db.prepare("SELECT * FROM backfill_jobs WHERE status = 'paused' ORDER BY id DESC LIMIT 1").get();
+        return job && job.status === 'paused' ? job : null;
+    }
+
+    getStatus() {
+        return this.activeJobId ? this._getJob(this.activeJobId) : this._latestJob();
+    }
+
+    // Runs in the background; state lives in the database so it survives restarts
+    _run(jobId) {
+        this.activeJobId = jobId;
+        this._process(jobId)
+            .catch(error => {
+                logWithTimestamp(`Backfill job #${jobId} failed: ${error.message}`, 'ERROR');
+                this._updateJob(jobId, { status: 'failed', error: error.message });
+            })
+            .finally(() => {
+                this.activeJobId = null;
+                this._updateStatusMessage(jobId, true);
+            });
+    }
+
+    async _process(jobId) {
+        const pending = this.db.prepare(
+            'SELECT * FROM backfill_checkpoints WHERE job_id = ? AND done = 0 ORDER BY thread_id'
+        ).all(jobId);
+
+        for (const checkpoint of pending) {
+            if (this._getJob(jobId).status !== 'running') return;
+
+            this._updateJob(jobId, { current_thread: checkpoint.thread_name || checkpoint.thread_id });
+            await this._processThread(jobId, checkpoint);
+        }
+
+        if (this._getJob(jobId).status === 'running') {
+            this._updateJob(jobId, { status: 'completed', current_thread: null });
+            const job = this._getJob(jobId);
+            logWithTimestamp(`Backfill job #${jobId} completed - Scanned: ${job.messages_scanned}, Found: ${job.urls_found}, Added: ${job.urls_added}`, 'INFO');
+        }
+    }
+
+    async _processThread(jobId, checkpoint) {
+        const job = this._getJob(jobId);
+        const thread = await this.client.channels.fetch(checkpoint.thread_id).catch(() => null);
+        const finishThread = this.db.prepare(
+            'UPDATE backfill_checkpoints SET done = 1 WHERE job_id = ? AND thread_id = ?'
+        );
+
+        if (!thread || !thread.messages) {
+            logWithTimestamp(`Backfill job #${jobId}: thread ${checkpoint.thread_id} not accessible, skipping`, 'WARN');
+            finishThread.run(jobId, checkpoint.thread_id);
+            this.db.prepare('UPDATE backfill_jobs SET threads_done = threads_done + 1 WHERE id = ?').run(jobId);
+            return;
+        }
+
+        let before = checkpoint.before_id;
+        let scanned = checkpoint.messages_scanned;
+        const saveCheckpoint = this.db.prepare(
+            'UPDATE backfill_checkpoints SET before_id = ?, messages_scanned = ? WHERE job_id = ? AND thread_id = ?'
+        );
+
+        while (job.message_limit === 0 || scanned < job.message_limit) {
+            if (this._getJob(jobId).status !== 'running') return;
+
+            const remaining = job.message_limit === 0 ? PAGE_SIZE : job.message_limit - scanned;
+            const messages = await fetchMessagePage(thread, before, remaining);
+            if (messages.size === 0) break;
+
+            const records = [];
+            for (const msg of messages.values()) {
+                if (msg.author.bot) continue;
+                for (const { url } of extractUrls(msg)) {
+                    records.push(buildUrlRecord(msg, url));
+                }
+            }
+            const added = records.length > 0 ? await this.urlStore.saveUrls(job.channel_id, records) : 0;
+
+            before = messages.last().id;
+            scanned += messages.size;
+
+            // Checkpoint after every page so a restart continues from here
+            const checkpointTx = this.db.transaction(() => {
+                saveCheckpoint.run(before, scanned, jobId, checkpoint.thread_id);
+                this.db.prepare(`
+                    UPDATE backfill_jobs
+                    SET messages_scanned = messages_scanned + ?, urls_found = urls_found + ?, urls_added = urls_added + ?, updated_at = ?
+                    WHERE id = ?
+                `).run(messages.size, records.length, added, Date.now(), jobId);
+            });
+            checkpointTx();
+
+            this._updateStatusMessage(jobId);
+
+            if (messages.size < PAGE_SIZE) break;
+            await new Promise(resolve => setTimeout(resolve, PAGE_DELAY_MS));
+        }
+
+        finishThread.run(jobId, checkpoint.thread_id);
+        this.db.prepare('UPDATE backfill_jobs SET threads_done = threads_done + 1 WHERE id = ?').run(jobId);
+        logWithTimestamp(`Backfill job #${jobId}: finished thread ${checkpoint.thread_name || checkpoint.thread_id} (${scanned} messages)`, 'INFO');
+    }
+
+    /**
+     * Build the progress embed for a job.
+     */
+    renderStatus(job) {
+        return new EmbedBuilder()
+            .setColor(STATUS_COLORS[job.status] || '#0099ff')
+            .setTitle(`URL backfill #${job.id} — ${job.status}`)
+            .setDescription(`Channel: <#${job.channel_id}>`)
+            .addFields(
+                { name: 'Threads', value: `${job.threads_done} / ${job.threads_total}`, inline: true },
+                { name: 'Messages Scanned', value: `${job.messages_scanned}`, inline: true },
+                { name: 'Limit per Thread', value: job.message_limit === 0 ? 'none' : `${job.message_limit}`, inline: true },
+                { name: 'URLs Found', value: `${job.urls_found}`, inline: true },
+                { name: 'New URLs Added', value: `${job.urls_added}`, inline: true },
+                { name: 'Current Thread', value: job.current_thread || '—', inline: true },
+                ...(job.error ? [{ name: 'Error', value: job.error.slice(0, 1024) }] : [])
+            )
+            .setFooter(this.templates.footer(this.client.channels.cache.get(job.channel_id)?.guild))
+            .setTimestamp(job.updated_at);
+    }
+
+    // Edit the job's status message, throttled unless `force` is set
+    async _updateStatusMessage(jobId, force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastStatusUpdate < STATUS_UPDATE_INTERVAL_MS) return;
+        this.lastStatusUpdate = now;
+
+        const job = this._getJob(jobId);
+        if (!job || !job.status_channel_id || !job.status_message_id) return;
+
+        try {
+            const channel = await this.client.channels.fetch(job.status_channel_id);
+            const statusMessage = await channel.messages.fetch(job.status_message_id);
+            await statusMessage.edit({ content: null, embeds: [this.renderStatus(job)] });
+        } catch (error) {
+            logWithTimestamp(`Failed to update backfill status message for job #${jobId}: ${error.message}`, 'WARN');
+        }
+    }
+}
+
+module.exports = {
+    BackfillManager,
+    listChannelThreads,
+    fetchMessagePage,
+    DEFAULT_MESSAGE_LIMIT
+};
@@ -0,0 +1,74 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { logWithTimestamp } = require('../utils');
+const { getForums, getForum } = require('../forums');
+const { getTierThreadIds } = require('../tiers');
+
+// /cleanup thread [thread] - run the thread cleaner for one thread of a monitored forum
+
+const MAX_CHOICES = 25; // Discord limit for autocomplete
+
+// Threads the cleanup can run in: the tier threads of routed forums, any cached
+// thread of the others
+function cleanupThreads(client) {
+    const threads = [];
+    for (const forum of getForums()) {
+        const threadIds = forum.routing
+            ? getTierThreadIds(forum.tiers)
+            : client.channels.cache.filter(channel => channel.isThread() && channel.parentId === forum.id).map(channel => channel.id);
+        for (const threadId of threadIds) {
+            const name = client.channels.cache.get(threadId)?.name || threadId;
+            threads.push({ id: threadId, name: `${name} (${forum.name})` });
+        }
+    }
+    return threads;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('cleanup')
+        .setDescription('Remove inactive or mismatched members from threads')
+        .addSubcommand(sub => sub
+            .setName('thread')
+            .setDescription('Run the thread cleanup now')
+            .addStringOption(option => option
+                .setName('thread')
+                .setDescription('Thread to clean (default: this thread)')
+                .setAutocomplete(true))),
+
+    async autocomplete(interaction, { client }) {
+        const query = interaction.options.getFocused().toLowerCase();
+        const choices = cleanupThreads(client)
+            .filter(thread => thread.name.toLowerCase().includes(query) || thread.id.startsWith(query))
+            .slice(0, MAX_CHOICES)
+            .map(thread => ({ name: thread.name.slice(0, 100), value: thread.id }));
+        await interaction.respond(choices);
+    },
+
+    async execute(interaction, { client, forumServices }) {
+        const threadId = interaction.options.getString('thread') || interaction.channelId;
+        const thread = await client.channels.fetch(threadId).catch(() => null);
+        if (!thread || !thread.isThread()) {
+            await interaction.editReply('Pick a thread, or use this command inside a thread.');
+            return;
+        }
+
+        const forum = getForum(thread.parentId);
+        if (!forum) {
+            await interaction.editReply('This command can only be used for threads that belong to a monitored forum channel.');
+            return;
+        }
+
+        if (forum.routing) {
+            // Only allow the forum's configured threads
+            if (!getTierThreadIds(forum.tiers).includes(thread.id)) {
+                await interaction.editReply('This thread is not configured for cleanup. Pick a configured role thread.');
+                return;
+            }
+        }
+
+        await interaction.editReply(`Running thread cleanup for <#${thread.id}>, please wait...`);
+        await forumServices.get(forum.id).threadCleaner.cleanSpecificThread(thread.id);
+        await interaction.editReply(`Thread cleanup completed for <#${thread.id}>.`);
+        logWithTimestamp(`Manual cleanup triggered for thread ${thread.id} by ${interaction.user.tag}`, 'INFO');
+    }
+};
@@ -0,0 +1,124 @@
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
+const { logWithTimestamp } = require('../utils');
+const { getForum } = require('../forums');
+const { DEFAULT_MESSAGE_LIMIT } = require('../backfill');
+
+// /fetch links start|status|pause|resume|cancel - bulk import of existing URLs (see backfill.js)
+
+const BACKFILL_CHANNEL_TYPES = [
+    ChannelType.GuildText,
+    ChannelType.GuildForum,
+    ChannelType.GuildAnnouncement,
+    ChannelType.PublicThread,
+    ChannelType.AnnouncementThread
+];
+
+// The progress message is edited for the whole run, also after a restart, so it is a
+// regular message rather than the ephemeral reply. It goes to the log channel of the scanned
+// channel's forum (LOG_CHANNEL_ID otherwise, see forums.js); without one there is none.
+async function sendProgressMessage(client, channelId, content) {
+    try {
+        const channel = await client.channels.fetch(channelId).catch(() => null);
+        const forum = getForum(channel?.type === ChannelType.GuildForum ? channel.id : channel?.parentId);
+        const logChannelId = forum ? forum.logChannelId : process.env.LOG_CHANNEL_ID;
+        if (!logChannelId) return null;
+
+        const logChannel = await client.channels.fetch(logChannelId);
+        return await logChannel.send(content);
+    } catch (error) {
+        logWithTimestamp(`Could not post backfill progress message: ${error.message}`, 'WARN');
+        return null;
+    }
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('fetch')
+        .setDescription('Import URLs from existing messages')
+        .addSubcommandGroup(group => group
+            .setName('links')
+            .setDescription('Backfill jobs that store the URLs of a channel')
+            .addSubcommand(sub => sub
+                .setName('start')
+                .setDescription('Scan a channel, forum or thread and store its URLs')
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Channel, forum or thread to scan')
+                    .addChannelTypes(...BACKFILL_CHANNEL_TYPES)
+                    .setRequired(true))
+                .addIntegerOption(option => option
+                    .setName('limit')
+                    .setDescription(`Messages per thread, 0 for the full history (default ${DEFAULT_MESSAGE_LIMIT})`)
+                    .setMinValue(0)))
+            .addSubcommand(sub => sub.setName('status').setDescription('Show the progress of the current or last backfill'))
+            .addSubcommand(sub => sub.setName('pause').setDescription('Pause the running backfill'))
+            .addSubcommand(sub => sub.setName('resume').setDescription('Resume the paused backfill'))
+            .addSubcommand(sub => sub.setName('cancel').setDescription('Cancel the running or paused backfill'))),
+
+    async execute(interaction, { backfillManager }) {
+        const action = interaction.options.getSubcommand();
+
+        // Job control subcommands
+        if (action === 'status') {
+            const job = backfillManager.getStatus();
+            await interaction.editReply(job ? { embeds: [backfillManager.renderStatus(job)] } : 'No backfill jobs have been run yet.');
+            return;
+        }
+        if (action === 'pause') {
+            const job = backfillManager.pause();
+            await interaction.editReply(job ? `Backfill #${job.id} paused. Use \`/fetch links resume\` to continue.` : 'No backfill is running.');
+            if (job) logWithTimestamp(`Backfill job #${job.id} paused by ${interaction.user.tag}`, 'INFO');
+            return;
+        }
+        if (action === 'cancel') {
+            const job = backfillManager.cancel();
+            await interaction.editReply(job ? `Backfill #${job.id} cancelled.` : 'No running or paused backfill to cancel.');
+            if (job) logWithTimestamp(`Backfill job #${job.id} cancelled by ${interaction.user.tag}`, 'INFO');
+            return;
+        }
+        if (action === 'resume') {
+            if (backfillManager.getStatus()?.status === 'running') {
+                await interaction.editReply('A backfill is already running.');
+                return;
+            }
+            const paused = backfillManager.getResumable();
+            if (!paused) {
+                await interaction.editReply('No paused backfill to resume.');
+                return;
+            }
+            const statusMsg = await sendProgressMessage(interaction.client, paused.channel_id, 'Resuming backfill...');
+            const job = backfillManager.resume(statusMsg);
+            if (!job) {
+                await statusMsg?.delete().catch(() => {});
+                await interaction.editReply('No paused backfill to resume.');
+                return;
+            }
+            await interaction.editReply(`Backfill #${job.id} resumed.${statusMsg ? ` Progress: ${statusMsg.url}` : ' Use `/fetch links status` to check on it.'}`);
+            logWithTimestamp(`Backfill job #${job.id} resumed by ${interaction.user.tag}`, 'INFO');
+            return;
+        }
+
+        // start
+        const channel = interaction.options.getChannel('channel', true);
+        const messageLimit = interaction.options.getInteger('limit') ?? DEFAULT_MESSAGE_LIMIT;
+
+        if (backfillManager.getStatus()?.status === 'running') {
+            await interaction.editReply('A backfill is already running. Use `/fetch links status` to check on it.');
+            return;
+        }
+
+        const statusMsg = await sendProgressMessage(interaction.client, channel.id, `Starting backfill for <#${channel.id}> (${messageLimit === 0 ? 'full history' : `up to ${messageLimit} messages per thread`})...`);
+        try {
+            const job = await backfillManager.start(channel.id, messageLimit, statusMsg, interaction.user.id);
+            if (!job) {
+                await statusMsg?.delete().catch(() => {});
+                await interaction.editReply('A backfill is already running. Use `/fetch links status` to check on it.');
+                return;
+            }
+            await interaction.editReply(`Backfill #${job.id} started for <#${channel.id}>.${statusMsg ? ` Progress: ${statusMsg.url}` : ' Use `/fetch links status` to check on it.'}`);
+        } catch (error) {
+            await statusMsg?.delete().catch(() => {});
+            await interaction.editReply(error.message);
+        }
+    }
+};
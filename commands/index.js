@@ -0,0 +1,109 @@
+const { MessageFlags } = require('discord.js');
+const { logWithTimestamp } = require('../utils');
+const { CommandPermissions } = require('./permissions');
+const { MessageTemplates } = require('../templates');
+
+// Slash commands. Each module in this directory exports
+//   { data: SlashCommandBuilder, execute(interaction, services), autocomplete?(interaction, services) }
+// and is listed in COMMANDS. CommandHandler registers them as guild commands on startup
+// and is the one place interactions are dispatched: it checks permissions (see
+// permissions.js), defers an ephemeral reply (commands answer with interaction.editReply)
+// and reports errors.
+
+const COMMANDS = [
+    require('./fetch'),
+    require('./url'),
+    require('./strikes'),
+    require('./cleanup')
+];
+
+class CommandHandler {
+    /**
+     * @param {import('discord.js').Client} client
+     * @param {object} services  Shared bot services passed to every command (urlStore, urlTracker, ...)
+     */
+    constructor(client, services) {
+        this.client = client;
+        this.templates = new MessageTemplates();
+        this.services = { client, templates: this.templates, ...services };
+        this.commands = new Map(COMMANDS.map(command => [command.data.name, command]));
+        this.permissions = new CommandPermissions([...this.commands.keys()]);
+    }
+
+    /**
+     * Register the commands in every guild the bot is in. Guild commands are available
+     * immediately, unlike global ones.
+     */
+    async register() {
+        this.permissions.init();
+        const definitions = [...this.commands.values()].map(command => command.data.toJSON());
+        for (const guild of this.client.guilds.cache.values()) {
+            try {
+                await guild.commands.set(definitions);
+                logWithTimestamp(`Registered ${definitions.length} slash command(s) in ${guild.name}`, 'STARTUP');
+            } catch (error) {
+                logWithTimestamp(`Failed to register slash commands in ${guild.name}: ${error.message}`, 'ERROR');
+            }
+        }
+    }
+
+    async handle(interaction) {
+        if (!interaction.isChatInputCommand() && !interaction.isAutocomplete()) return;
+
+        const command = this.commands.get(interaction.commandName);
+        if (!command) return;
+
+        if (interaction.isAutocomplete()) {
+            try {
+                // Suggestions can name channels, so they follow the same rules as the command
+                if (!interaction.inGuild() || !this.permissions.check(interaction).allowed) {
+                    await interaction.respond([]);
+                    return;
+                }
+                await command.autocomplete?.(interaction, this.services);
+            } catch (error) {
+                logWithTimestamp(`Error in /${interaction.commandName} autocomplete: ${error.message}`, 'ERROR');
+                await interaction.respond([]).catch(() => {});
+            }
+            return;
+        }
+
+        const access = interaction.inGuild() ? this.permissions.check(interaction) : { allowed: false, rule: null };
+        if (!access.allowed) {
+            await this._deny(interaction, access.rule);
+            return;
+        }
+
+        try {
+            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+            await command.execute(interaction, this.services);
+        } catch (error) {
+            logWithTimestamp(`Error handling /${interaction.commandName} command: ${error.message}`, 'ERROR');
+            const reply = { content: `An error occurred while processing the command: ${error.message}`, embeds: [] };
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply(reply).catch(() => {});
+            } else {
+                await interaction.reply({ ...reply, flags: MessageFlags.Ephemeral }).catch(() => {});
+            }
+        }
+    }
+
+    async _deny(interaction, rule) {
+        const commandLine = `/${[interaction.commandName, interaction.options.getSubcommandGroup(false), interaction.options.getSubcommand(false)].filter(Boolean).join(' ')}`;
+        const embed = this.templates.render(rule ? 'command_denied' : 'command_denied_admin', {
+            user: `${interaction.user}`,
+            command: commandLine
+        }, interaction.guild);
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral }).catch(() => {});
+
+        logWithTimestamp(`Command access denied for user ${interaction.user.tag} (${interaction.user.id}) - ${commandLine} (${rule ? `rule "${rule}"` : 'Administrator permission required'})`, 'WARN');
+        await this.services.urlTracker?.sendLogToChannel('Command Access Denied', [
+            { name: 'User', value: `<@${interaction.user.id}> (${interaction.user.id})` },
+            { name: 'Command', value: commandLine, inline: true },
+            { name: 'Rule', value: rule ? `\`${rule}\`` : 'Administrators only', inline: true },
+            { name: 'Channel', value: `<#${interaction.channelId}>`, inline: true }
+        ]);
+    }
+}
+
+module.exports = { CommandHandler, COMMANDS };
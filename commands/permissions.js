@@ -0,0 +1,137 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { logWithTimestamp } = require('../utils');
+const { getSetting } = require('../voting/db');
+
+// Who may run which slash command. Rules live in the settings table under
+// `command_permissions` and are applied without a restart:
+//   {
+//     "*":              { "roles": ["<moderator role ID>"] },
+//     "cleanup":        { "roles": [...], "users": [...], "permissions": ["ManageThreads"] },
+//     "strikes pardon": { "users": ["<user ID>"] }
+//   }
+// A key is "*" (every command), a command name, or a command followed by its subcommand
+// group and/or subcommand. The most specific key that exists decides; a member passes a
+// rule when they are listed in `users`, hold one of `roles`, or have one of the Discord
+// `permissions` (PermissionFlagsBits names). Administrators can always run every command.
+
+const RULE_FIELDS = ['roles', 'users', 'permissions'];
+
+const isId = value => typeof value === 'string' && /^\d+$/.test(value);
+
+/**
+ * Check a command permission setting and return the problems found, one string per problem.
+ *
+ * @param {object} settings
+ * @param {string[]} commandNames  Names of the registered commands
+ * @returns {string[]}
+ */
+function validateCommandPermissions(settings, commandNames) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ['command_permissions must be an object'];
+    }
+
+    const errors = [];
+    for (const [key, rule] of Object.entries(settings)) {
+        const command = key.split(' ')[0];
+        if (key !== '*' && !commandNames.includes(command)) {
+            errors.push(`"${key}": unknown command "${command}" (use *, ${commandNames.join(', ')})`);
+            continue;
+        }
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            errors.push(`"${key}" must be an object`);
+            continue;
+        }
+        for (const [field, value] of Object.entries(rule)) {
+            if (!RULE_FIELDS.includes(field)) {
+                errors.push(`"${key}": unknown field "${field}" (use ${RULE_FIELDS.join(', ')})`);
+            } else if (!Array.isArray(value)) {
+                errors.push(`"${key}".${field} must be an array`);
+            } else if (field === 'permissions') {
+                const unknown = value.filter(name => !Object.hasOwn(PermissionFlagsBits, name));
+                if (unknown.length > 0) errors.push(`"${key}".permissions: unknown permission(s) ${unknown.join(', ')}`);
+            } else if (!value.every(isId)) {
+                errors.push(`"${key}".${field} must contain only ${field === 'roles' ? 'role' : 'user'} IDs`);
+            }
+        }
+    }
+    return errors;
+}
+
+// Keys that may hold the rule for an invocation, most specific first,
+// e.g. "fetch links start", "fetch links", "fetch", "*"
+function ruleKeys(interaction) {
+    const path = [
+        interaction.commandName,
+        interaction.options.getSubcommandGroup(false),
+        interaction.options.getSubcommand(false)
+    ].filter(Boolean);
+    const keys = [];
+    for (let i = path.length; i > 0; i--) keys.push(path.slice(0, i).join(' '));
+    keys.push('*');
+    return keys;
+}
+
+class CommandPermissions {
+    /**
+     * @param {string[]} commandNames  Names of the registered commands
+     */
+    constructor(commandNames) {
+        this.commandNames = commandNames;
+        this.rules = {};
+        this._rulesSource = null;
+    }
+
+    init() {
+        this._reloadRules();
+    }
+
+    /**
+     * Re-read `command_permissions` so dashboard changes apply without a restart.
+     */
+    _reloadRules() {
+        const stored = getSetting('command_permissions') || {};
+
+        const source = JSON.stringify(stored);
+        if (source === this._rulesSource) return;
+        this._rulesSource = source;
+
+        const errors = validateCommandPermissions(stored, this.commandNames);
+        if (errors.length > 0) {
+            logWithTimestamp(`Invalid command permissions, keeping previous rules: ${errors.join('; ')}`, 'ERROR');
+            return;
+        }
+
+        this.rules = stored;
+        const keys = Object.keys(stored);
+        logWithTimestamp(keys.length > 0
+            ? `Loaded command permissions for ${keys.join(', ')} (administrators always allowed)`
+            : 'Command access restricted to server administrators only', 'CONFIG');
+    }
+
+    /**
+     * Whether the member who used an interaction may run it.
+     *
+     * @param {import('discord.js').ChatInputCommandInteraction} interaction
+     * @returns {{allowed: boolean, rule: string|null}} rule is the settings key that decided, null for the admin-only default
+     */
+    check(interaction) {
+        this._reloadRules();
+
+        const member = interaction.member;
+        const permissions = interaction.memberPermissions;
+        const key = ruleKeys(interaction).find(k => this.rules[k]) || null;
+        if (!member || !permissions) return { allowed: false, rule: key };
+        if (permissions.has(PermissionFlagsBits.Administrator)) return { allowed: true, rule: key };
+        if (!key) return { allowed: false, rule: null };
+
+        const rule = this.rules[key];
+        // Members of uncached guilds come as raw API data with a plain role ID array
+        const roleIds = Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+        const allowed = (rule.users || []).includes(interaction.user.id)
+            || (rule.roles || []).some(roleId => roleIds.includes(roleId))
+            || (rule.permissions || []).some(name => permissions.has(PermissionFlagsBits[name]));
+        return { allowed, rule: key };
+    }
+}
+
+module.exports = { CommandPermissions, validateCommandPermissions };
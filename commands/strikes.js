@@ -0,0 +1,71 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+
+// /strikes show|pardon - a user's strikes and sanctions (see strikes.js)
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('strikes')
+        .setDescription('Show or pardon a user\'s strikes')
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Active strikes, recent violations and sanctions of a user')
+            .addUserOption(option => option.setName('user').setDescription('The user').setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('pardon')
+            .setDescription('Pardon strikes and give back roles removed as a sanction')
+            .addUserOption(option => option.setName('user').setDescription('The user').setRequired(true))
+            .addIntegerOption(option => option
+                .setName('count')
+                .setDescription('Number of most recent strikes to pardon (default all)')
+                .setMinValue(1))),
+
+    async execute(interaction, { strikeManager, violationLedger, urlTracker, templates }) {
+        const userId = interaction.options.getUser('user', true).id;
+
+        if (interaction.options.getSubcommand() === 'pardon') {
+            const count = interaction.options.getInteger('count');
+            const member = await interaction.guild.members.fetch(userId).catch(() => null);
+            const result = await strikeManager.pardon(member, userId, count, interaction.user.id);
+            if (result.pardoned === 0 && result.rolesRestored === 0) {
+                await interaction.editReply(`<@${userId}> has no strikes to pardon.`);
+                return;
+            }
+
+            const remaining = strikeManager.getStrikeCount(userId);
+            await interaction.editReply(`Pardoned ${result.pardoned} strike(s) for <@${userId}>.${result.rolesRestored > 0 ? ` Restored ${result.rolesRestored} role(s).` : ''} Active strikes: ${remaining}`);
+            await urlTracker.sendLogToChannel('Strikes Pardoned', [
+                { name: 'Moderator', value: `<@${interaction.user.id}> (${interaction.user.id})` },
+                { name: 'User', value: `<@${userId}> (${userId})` },
+                { name: 'Pardoned', value: `${result.pardoned}`, inline: true },
+                { name: 'Roles Restored', value: `${result.rolesRestored}`, inline: true },
+                { name: 'Active Strikes', value: `${remaining}`, inline: true }
+            ]);
+            return;
+        }
+
+        const strikes = strikeManager.getStrikeCount(userId);
+        const recent = violationLedger.query({ userId }, 5, 0);
+        const actions = strikeManager.getRecentActions(userId);
+        const policy = strikeManager.policy;
+
+        const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('Strikes')
+            .setDescription(`<@${userId}> has **${strikes}** active strike(s) in the last ${policy.windowDays} days.${policy.enabled ? '' : '\nThe strike policy is disabled.'}`)
+            .setFooter(templates.footer(interaction.guild));
+        if (recent.length > 0) {
+            embed.addFields({
+                name: 'Recent Violations',
+                value: recent.map(v => `<t:${Math.floor(v.createdAt / 1000)}:R> ${v.type}${v.pardonedAt ? ' (pardoned)' : ''}`).join('\n')
+            });
+        }
+        if (actions.length > 0) {
+            embed.addFields({
+                name: 'Recent Sanctions',
+                value: actions.map(a => `<t:${Math.floor(a.created_at / 1000)}:R> ${a.action} at ${a.strikes} strikes`).join('\n')
+            });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+};
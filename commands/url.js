@@ -0,0 +1,127 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { extractUrlsFromText } = require('../urlExtractor');
+
+// /url lookup|release|allow|transfer - moderator tools for a URL's duplicate-detection history
+
+const URL_HISTORY_LIMIT = 10;
+
+function formatUrlRecord(record, index) {
+    const messageLink = record.messageUrl || `https://discord.com/channels/${record.guildId}/${record.threadId}/${record.messageId}`;
+    const poster = record.userId ? `<@${record.userId}>` : (record.author || 'Unknown');
+    const status = record.status === 'deleted'
+        ? `deleted <t:${Math.floor(record.deletedAt / 1000)}:R>`
+        : record.status;
+    return {
+        name: `#${index + 1}${index === 0 ? ' (original)' : ''} — ${status}`,
+        value: `${poster} in <#${record.threadId || record.channelId}> · <t:${Math.floor(record.timestamp / 1000)}:f>\n${messageLink}`
+    };
+}
+
+const urlOption = option => option.setName('url').setDescription('The URL').setRequired(true);
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('url')
+        .setDescription('Look up and manage the history of a URL')
+        .addSubcommand(sub => sub
+            .setName('lookup')
+            .setDescription('Show who posted a URL and where')
+            .addStringOption(urlOption))
+        .addSubcommand(sub => sub
+            .setName('release')
+            .setDescription('Forget earlier posts of a URL so it can be posted again')
+            .addStringOption(urlOption)
+            .addUserOption(option => option.setName('user').setDescription('Only release this poster\'s records')))
+        .addSubcommand(sub => sub
+            .setName('allow')
+            .setDescription('Let a user repost a URL once')
+            .addStringOption(urlOption)
+            .addUserOption(option => option.setName('user').setDescription('User who may repost').setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('transfer')
+            .setDescription('Make a user the owner of the original post of a URL')
+            .addStringOption(urlOption)
+            .addUserOption(option => option.setName('user').setDescription('New owner').setRequired(true))),
+
+    async execute(interaction, { urlStore, urlTracker, templates }) {
+        const action = interaction.options.getSubcommand();
+        const url = extractUrlsFromText(interaction.options.getString('url', true))[0];
+        const user = interaction.options.getUser('user');
+        const userId = user ? user.id : null;
+
+        if (!url) {
+            await interaction.editReply('That is not a URL.');
+            return;
+        }
+
+        // Short links are matched by their destination, like in duplicate checks
+        await urlStore.resolveUrls([url]);
+
+        const moderatorField = { name: 'Moderator', value: `<@${interaction.user.id}> (${interaction.user.id})` };
+
+        if (action === 'lookup') {
+            const history = await urlStore.getUrlHistory(url);
+            if (history.length === 0) {
+                await interaction.editReply('No history found for this URL.');
+                return;
+            }
+
+            const exemptions = await urlStore.getExemptions(url);
+            const embed = new EmbedBuilder()
+                .setColor('#0099ff')
+                .setTitle('URL History')
+                .setDescription(`Canonical key: \`${history[0].canonicalUrl}\`\n${history.length} record(s)${history.length > URL_HISTORY_LIMIT ? `, showing the first ${URL_HISTORY_LIMIT}` : ''}`)
+                .addFields(history.slice(0, URL_HISTORY_LIMIT).map(formatUrlRecord))
+                .setFooter(templates.footer(interaction.guild));
+            if (exemptions.length > 0) {
+                embed.addFields({ name: 'Pending Repost Exemptions', value: exemptions.map(e => `<@${e.user_id}>`).join(', ') });
+            }
+
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+
+        if (action === 'release') {
+            const released = await urlStore.releaseUrl(url, userId);
+            if (released === 0) {
+                await interaction.editReply(userId ? 'No records of this URL for that user.' : 'No history found for this URL.');
+                return;
+            }
+            await interaction.editReply(`Released ${released} record(s). ${userId ? `<@${userId}> can` : 'Anyone can'} post this URL again.`);
+            await urlTracker.sendLogToChannel('URL Released', [
+                moderatorField,
+                { name: 'URL', value: url },
+                { name: 'Records Removed', value: `${released}`, inline: true },
+                { name: 'Scope', value: userId ? `<@${userId}> (${userId})` : 'All posters', inline: true }
+            ]);
+            return;
+        }
+
+        if (action === 'allow') {
+            const history = await urlStore.getUrlHistory(url);
+            await urlStore.addExemption(url, userId, interaction.user.id);
+            await interaction.editReply(`<@${userId}> may repost this URL once.${history.length === 0 ? ' (It has not been posted yet.)' : ''}`);
+            await urlTracker.sendLogToChannel('Repost Exemption Granted', [
+                moderatorField,
+                { name: 'User', value: `<@${userId}> (${userId})` },
+                { name: 'URL', value: url }
+            ]);
+            return;
+        }
+
+        // transfer
+        const result = await urlStore.transferUrl(url, user.id, user.tag);
+        if (!result) {
+            await interaction.editReply('No history found for this URL.');
+            return;
+        }
+        await interaction.editReply(`The original post of this URL now belongs to ${user}.`);
+        await urlTracker.sendLogToChannel('URL Ownership Transferred', [
+            moderatorField,
+            { name: 'URL', value: url },
+            { name: 'Previous Owner', value: result.previous.userId ? `<@${result.previous.userId}> (${result.previous.userId})` : (result.previous.author || 'Unknown') },
+            { name: 'New Owner', value: `${user} (${user.id})` },
+            { name: 'Original Message', value: result.previous.messageUrl || `https://discord.com/channels/${result.previous.guildId}/${result.previous.threadId}/${result.previous.messageId}` }
+        ]);
+    }
+};
@@ -11,9 +11,22 @@ const RATE_LIMIT_COOLDOWN = parseInt(process.env.RATE_LIMIT_COOLDOWN) || 1000; /
 // URL duplication age threshold (in minutes)
 const THRESHOLD_DUPE_AGE = parseInt(process.env.THRESHOLD_DUPE_AGE) || 60; // Default to 60 minutes if not specified
 
+// Seconds before an auto-delete bot reply is removed, 0 = never (see notices.js)
+const AUTO_DELETE_TIMER = Number.isNaN(parseInt(process.env.AUTO_DELETE_TIMER)) ? 30 : parseInt(process.env.AUTO_DELETE_TIMER);
+
+// Monitored forums with their own routing, rules and cleanup (see forums.js)
+const FORUMS_CONFIG = process.env.FORUMS_CONFIG || 'forums.json';
+
 // Whether role-to-thread routing and role-based cleanup is enabled
 const ROLE_TO_THREAD_ENABLED = (process.env.ROLE_TO_THREAD || 'on').toLowerCase() === 'on';
 
+// Move wrong-thread posts to the right thread through a webhook instead of deleting them
+const WRONG_THREAD_RELOCATE = (process.env.WRONG_THREAD_RELOCATE || 'off').toLowerCase() === 'on';
+
+// Add and remove thread members as soon as their tier roles change, optionally with a welcome DM
+const THREAD_SYNC = (process.env.THREAD_SYNC || 'off').toLowerCase() === 'on';
+const THREAD_SYNC_WELCOME = (process.env.THREAD_SYNC_WELCOME || 'off').toLowerCase() === 'on';
+
 // Days of inactivity after which a user is removed from a thread (time-based cleanup)
 const THREAD_INACTIVITY_DAYS = parseInt(process.env.THREAD_INACTIVITY_DAYS) || 30;
 
@@ -24,14 +37,52 @@ const THREAD_CLEANUP_SCHEDULE = process.env.THREAD_CLEANUP_SCHEDULE || '0 */6 *
 const THREAD_USERS_THRESHOLD = parseInt(process.env.THREAD_USERS_THRESHOLD) || 0; // 0 = disabled
 const THREAD_USERS_THRESHOLD_REMOVE = parseInt(process.env.THREAD_USERS_THRESHOLD_REMOVE) || 1;
 
+// URL retention: records past these limits are moved to the compressed archive
+const URL_RETENTION_SCHEDULE = process.env.URL_RETENTION_SCHEDULE || '30 3 * * *'; // Default: daily at 03:30
+const URL_RETENTION_DAYS = parseInt(process.env.URL_RETENTION_DAYS) || 0; // 0 = keep regardless of age
+const URL_RETENTION_MAX_PER_THREAD = parseInt(process.env.URL_RETENTION_MAX_PER_THREAD) || 0; // 0 = no limit
+const URL_RETENTION_KEEP_IF_VOTED = (process.env.URL_RETENTION_KEEP_IF_VOTED || 'on').toLowerCase() === 'on';
+const URL_ARCHIVE_PATH = process.env.URL_ARCHIVE_PATH || 'url_archive.jsonl.gz';
+const URL_ARCHIVE_LOOKUP = (process.env.URL_ARCHIVE_LOOKUP || 'off').toLowerCase() === 'on';
+
+// Short links are expanded to their destination before duplicate checks
+const DEFAULT_SHORT_LINK_HOSTS = 't.co,bit.ly,lnkd.in,tinyurl.com,ow.ly,buff.ly,dlvr.it,is.gd,goo.gl,rb.gy,t.ly,cutt.ly,shorturl.at,rebrand.ly,tiny.cc,trib.al,fb.me,amzn.to,s.id';
+const SHORT_LINK_RESOLVE = (process.env.SHORT_LINK_RESOLVE || 'on').toLowerCase() === 'on';
+const SHORT_LINK_HOSTS = (process.env.SHORT_LINK_HOSTS || DEFAULT_SHORT_LINK_HOSTS).split(',').map(host => host.trim()).filter(Boolean);
+const SHORT_LINK_MAX_REDIRECTS = parseInt(process.env.SHORT_LINK_MAX_REDIRECTS) || 5;
+const SHORT_LINK_TIMEOUT = parseInt(process.env.SHORT_LINK_TIMEOUT) || 5000; // Milliseconds per request
+
+// Attachment fingerprinting: uploaded files go through the same duplicate checks as URLs
+const ATTACHMENT_TRACKING = (process.env.ATTACHMENT_TRACKING || 'on').toLowerCase() === 'on';
+const ATTACHMENT_MAX_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 25; // Larger files are not checked
+const ATTACHMENT_SIMILARITY = Number.isNaN(parseInt(process.env.ATTACHMENT_SIMILARITY)) ? 5 : Math.min(Math.max(parseInt(process.env.ATTACHMENT_SIMILARITY), 0), 64); // Max differing perceptual-hash bits (of 64), 0 = exact matches only
+
 module.exports = {
     DB_TIMEOUT,
     RATE_LIMIT_MAX_REQUESTS,
     RATE_LIMIT_COOLDOWN,
     THRESHOLD_DUPE_AGE,
+    AUTO_DELETE_TIMER,
+    FORUMS_CONFIG,
     ROLE_TO_THREAD_ENABLED,
+    WRONG_THREAD_RELOCATE,
+    THREAD_SYNC,
+    THREAD_SYNC_WELCOME,
     THREAD_INACTIVITY_DAYS,
     THREAD_CLEANUP_SCHEDULE,
     THREAD_USERS_THRESHOLD,
-    THREAD_USERS_THRESHOLD_REMOVE
+    THREAD_USERS_THRESHOLD_REMOVE,
+    URL_RETENTION_SCHEDULE,
+    URL_RETENTION_DAYS,
+    URL_RETENTION_MAX_PER_THREAD,
+    URL_RETENTION_KEEP_IF_VOTED,
+    URL_ARCHIVE_PATH,
+    URL_ARCHIVE_LOOKUP,
+    SHORT_LINK_RESOLVE,
+    SHORT_LINK_HOSTS,
+    SHORT_LINK_MAX_REDIRECTS,
+    SHORT_LINK_TIMEOUT,
+    ATTACHMENT_TRACKING,
+    ATTACHMENT_MAX_SIZE_MB,
+    ATTACHMENT_SIMILARITY
 };
\ No newline at end of file
@@ -1,11 +1,24 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, EmbedBuilder, Partials, ChannelType } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, ChannelType } = require('discord.js');
 const UrlStorage = require('./urlStore');  // Changed to UrlStorage
 const UrlTracker = require('./urlTracker');
 const ActivityStore = require('./activityStore');
 const ThreadCleaner = require('./scheduler');
+const UrlRetention = require('./retention');
+const { BackfillManager } = require('./backfill');
+const { ViolationLedger, VIOLATION_TYPES } = require('./violationLedger');
+const { StrikeManager } = require('./strikes');
+const AttachmentStore = require('./attachmentStore');
+const { MessageRelocator } = require('./relocator');
+const { ShadowMode } = require('./shadowMode');
+const { MessageTemplates } = require('./templates');
+const { NoticeDelivery } = require('./notices');
+const { CommandHandler } = require('./commands');
+const { loadForums, getForums, getForum, getIgnoredRoles, hasForumsConfig } = require('./forums');
+const { findHighestTier } = require('./tiers');
 const { logWithTimestamp } = require('./utils');
-const { DB_TIMEOUT, RATE_LIMIT_MAX_REQUESTS, RATE_LIMIT_COOLDOWN, ROLE_TO_THREAD_ENABLED, THREAD_CLEANUP_SCHEDULE } = require('./config');
+const { extractUrls } = require('./urlExtractor');
+const { DB_TIMEOUT, RATE_LIMIT_MAX_REQUESTS, RATE_LIMIT_COOLDOWN, FORUMS_CONFIG, URL_RETENTION_SCHEDULE, ATTACHMENT_TRACKING } = require('./config');
 const { initDb, getDb } = require('./voting/db');
 const VoteHandler = require('./voting/voteHandler');
 
@@ -22,14 +35,10 @@ const client = new Client({
 
 // Constants
 const MAX_TEXT_LENGTH = 200;
-const ERROR_COLOR = '#f2b518';
-const AUTO_DELETE_TIMER_SECONDS = parseInt(process.env.AUTO_DELETE_TIMER) || 30;
-const AUTO_DELETE_TIMER = AUTO_DELETE_TIMER_SECONDS * 1000;
 const URL_CHECK_TIMEOUT = parseInt(process.env.URL_CHECK_TIMEOUT) || 5000;
 const MAX_FETCH_RETRIES = 3;
 const CACHE_CLEANUP_INTERVAL = 300000; // 5 minutes
 const THREAD_CACHE_TTL = 3600000; // 1 hour
-const URL_HISTORY_LIMIT = 10;
 
 // Rate limiting and caching
 const rateLimitMap = new Map();
@@ -54,26 +63,16 @@ function checkRateLimit(userId) {
     return false;
 }
 
-function findHighestRole(memberRoles) {
-    for (let i = 5; i >= 0; i--) {
-        const roleId = process.env[`ROLE_${i}_ID`];
-        if (memberRoles.has(roleId)) {
-            return i;
-        }
-    }
-    return -1;
-}
-
 async function validateEnvironmentVariables() {
+    // With a forums config file the forums, tiers and threads come from the file.
+    // Tiers (ROLE_<n>_ID / THREAD_<n>_ID) are checked by loadForums() below.
+    const forumsFromFile = hasForumsConfig();
+
     const requiredVariables = [
         'DISCORD_TOKEN',
-        'MAIN_CHANNEL_ID',
+        ...(forumsFromFile ? [] : ['MAIN_CHANNEL_ID']),
         'AUTO_DELETE_TIMER',
-        'DB_TIMEOUT',
-        ...(ROLE_TO_THREAD_ENABLED ? [
-            ...Array.from({length: 6}, (_, i) => `ROLE_${i}_ID`),
-            ...Array.from({length: 6}, (_, i) => `THREAD_${i}_ID`)
-        ] : [])
+        'DB_TIMEOUT'
     ];
 
     const missingVariables = requiredVariables.filter(varName => !process.env[varName]);
@@ -82,13 +81,7 @@ async function validateEnvironmentVariables() {
         process.exit(1);
     }
 
-    const idVariables = [
-        'MAIN_CHANNEL_ID',
-        ...(ROLE_TO_THREAD_ENABLED ? [
-            ...Array.from({length: 6}, (_, i) => `ROLE_${i}_ID`),
-            ...Array.from({length: 6}, (_, i) => `THREAD_${i}_ID`)
-        ] : [])
-    ];
+    const idVariables = forumsFromFile ? [] : ['MAIN_CHANNEL_ID'];
 
     idVariables.forEach(varName => {
         const value = process.env[varName];
@@ -123,18 +116,16 @@ async function validateEnvironmentVariables() {
             process.exit(1);
         }
     }
+
+    const forumErrors = loadForums();
+    if (forumErrors.length > 0) {
+        logWithTimestamp(`Invalid forum configuration${forumsFromFile ? ` in ${FORUMS_CONFIG}` : ''}: ${forumErrors.join('; ')}`, 'ERROR');
+        process.exit(1);
+    }
     
-    // Add logging for command permission configuration
-    logWithTimestamp('Command access restricted to server administrators only', 'CONFIG');
     logWithTimestamp(`Last updated: 2025-03-19 09:20:14 UTC by noname9006`, 'INFO');
 }
 
-
-function hasCommandPermission(member) {
-    // Only allow users with Administrator permission
-    return member.permissions.has('Administrator');
-}
-
 function checkBotPermissions(guild, channel) {
     const botMember = guild.members.cache.get(client.user.id);
     if (!botMember) {
@@ -158,84 +149,6 @@ function checkBotPermissions(guild, channel) {
     return true;
 }
 
-const roleToThread = new Map();
-const threadToRole = new Map();
-
-function initializeMappings() {
-    for (let i = 0; i <= 5; i++) {
-        const roleId = process.env[`ROLE_${i}_ID`];
-        const threadId = process.env[`THREAD_${i}_ID`];
-        roleToThread.set(roleId, threadId);
-        threadToRole.set(threadId, roleId);
-    }
-}
-
-const ignoredRoles = new Set(
-    process.env.IGNORED_ROLES
-        ? process.env.IGNORED_ROLES.split(',').map(role => role.trim())
-        : []
-);
-
-async function fetchAllMessagesWithPagination(channel, limit = 5000) {
-    const allMessages = new Map();
-    let lastId = null;
-    let remaining = limit;
-    let fetchCount = 0;
-    
-    logWithTimestamp(`Starting paginated message fetch for ${channel.id} (limit: ${limit})`, 'INFO');
-    
-    while (remaining > 0) {
-        const options = { limit: Math.min(100, remaining) };
-        if (lastId) {
-            options.before = lastId;
-        }
-        
-        try {
-            fetchCount++;
-            const messages = await channel.messages.fetch(options);
-            
-            if (messages.size === 0) {
-                logWithTimestamp(`No more messages found after ${allMessages.size} messages`, 'INFO');
-                break;
-            }
-            
-            // Add all fetched messages to our collection
-            for (const [id, message] of messages) {
-                allMessages.set(id, message);
-            }
-            
-            // Update the lastId for pagination
-            lastId = messages.last().id;
-            remaining -= messages.size;
-            
-            logWithTimestamp(`Fetched page ${fetchCount}: ${messages.size} messages (total: ${allMessages.size})`, 'INFO');
-            
-            // If we got fewer messages than requested, we've reached the end
-            if (messages.size < Math.min(100, remaining + messages.size)) {
-                break;
-            }
-            
-            // Optional: Add a small delay to avoid rate limits
-            if (remaining > 0) {
-                await new Promise(resolve => setTimeout(resolve, 250));
-            }
-        } catch (error) {
-            logWithTimestamp(`Error fetching messages (page ${fetchCount}): ${error.message}`, 'ERROR');
-            // Try to continue with next page despite errors
-            if (allMessages.size > 0) {
-                const lastMessage = Array.from(allMessages.values()).pop();
-                lastId = lastMessage.id;
-                continue;
-            } else {
-                break;
-            }
-        }
-    }
-    
-    logWithTimestamp(`Completed message fetch: ${allMessages.size} total messages`, 'INFO');
-    return allMessages;
-}
-
 async function getThreadName(threadId) {
     const cacheEntry = threadNameCache.get(threadId);
     if (cacheEntry) {
@@ -278,17 +191,20 @@ async function getThreadName(threadId) {
     }
 }
 
-async function isMessageInForumPost(message) {
+// The monitored forum a message was posted in, or null (see forums.js)
+async function getMonitoredForum(message) {
     try {
         const channel = message.channel;
-        if (!channel.isThread()) return false;
-        
+        if (!channel.isThread()) return null;
+
+        const forum = getForum(channel.parentId);
+        if (!forum) return null;
+
         const parent = await channel.parent?.fetch();
-        return parent?.id === process.env.MAIN_CHANNEL_ID &&
-               parent?.type === ChannelType.GuildForum;
+        return parent?.type === ChannelType.GuildForum ? forum : null;
     } catch (error) {
         logWithTimestamp(`Error checking forum post: ${error.message}`, 'ERROR');
-        return false;
+        return null;
     }
 }
 
@@ -308,50 +224,52 @@ async function checkMessageExists(message, retries = 0) {
     }
 }
 
-async function handleWrongThread(message, correctThreadId) {
+async function handleWrongThread(message, allowedThreadIds, forum) {
+    if (shadowMode.isShadow('routing')) {
+        shadowMode.record('routing', forum.relocate ? 'would relocate' : 'would delete', {
+            message,
+            details: `Wrong thread, expected: ${allowedThreadIds.join(', ')}`
+        });
+        return;
+    }
+
+    // Relocate mode: move the post to the member's first allowed thread, or fall back to deleting it
+    if (forum.relocate) {
+        const relocated = await messageRelocator.relocate(message, allowedThreadIds[0]).catch(error => {
+            logWithTimestamp(`Could not relocate message ${message.id} to thread ${allowedThreadIds[0]}, deleting it instead: ${error.message}`, 'WARN');
+            return null;
+        });
+        if (relocated) {
+            await handleRelocatedMessage(message, relocated, forum);
+            return;
+        }
+    }
+
     const hasAttachments = message.attachments.size > 0;
     let embedDescription = hasAttachments 
-        ? 'User uploaded file(s)'
+        ? `User uploaded file(s): ${[...message.attachments.values()].map(a => a.name).join(', ')}`.substring(0, MAX_TEXT_LENGTH)
         : message.content.length > MAX_TEXT_LENGTH
             ? message.content.substring(0, MAX_TEXT_LENGTH) + '...'
             : message.content || 'No content';
 
-    const errorEmbed = new EmbedBuilder()
-        .setColor(ERROR_COLOR)
-        .setDescription(`${message.author}, please use the thread that matches your highest role.\nYour message has been removed because it was posted to a wrong thread.`)
-        .addFields(
-            {
-                name: "Here's the right one for you:",
-                value: `<#${correctThreadId}>`
-            },
-            { 
-                name: 'Your message content:', 
-                value: embedDescription
-            }
-        )
-        .setFooter({
-            text: 'Botanix Labs',
-            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-        })
-        .setTimestamp();
+    const errorEmbed = messageTemplates.render('wrong_thread', {
+        user: `${message.author}`,
+        thread: `<#${allowedThreadIds[0]}>`,
+        threads: allowedThreadIds.map(threadId => `<#${threadId}>`).join(', '),
+        count: allowedThreadIds.length,
+        content: embedDescription
+    }, message.guild);
 
     try {
-        const replyMessage = await message.reply({ embeds: [errorEmbed] });
+        const notice = await noticeDelivery.deliver(VIOLATION_TYPES.WRONG_THREAD, message, { embeds: [errorEmbed] }, { removesOriginal: true });
+        violationLedger.record(VIOLATION_TYPES.WRONG_THREAD, message, {
+            action: `${notice.action}, message deleted`,
+            details: `Expected thread: ${allowedThreadIds.join(', ')}`
+        });
+
         if (message.deletable) {
             await message.delete();
         }
-
-        if (AUTO_DELETE_TIMER > 0) {
-            setTimeout(async () => {
-                try {
-                    if (replyMessage.deletable) {
-                        await replyMessage.delete();
-                    }
-                } catch (error) {
-                    logWithTimestamp(`Error deleting reply: ${error.message}`, 'ERROR');
-                }
-            }, AUTO_DELETE_TIMER);
-        }
     } catch (error) {
         logWithTimestamp(`Error handling wrong thread: ${error.message}`, 'ERROR');
         if (message.deletable) {
@@ -360,256 +278,72 @@ async function handleWrongThread(message, correctThreadId) {
     }
 }
 
-async function handleFetchLinksCommand(message) {
+// Point the user to their relocated post, remove the original and process the copy as a new post
+async function handleRelocatedMessage(message, relocated, forum) {
+    const relocatedEmbed = messageTemplates.render('wrong_thread_relocated', {
+        user: `${message.author}`,
+        thread: `<#${relocated.channel.id}>`,
+        link: relocated.url
+    }, message.guild);
+
     try {
-        // Permission check remains the same
-        if (!hasCommandPermission(message.member)) {
-            const embed = new EmbedBuilder()
-                .setColor(ERROR_COLOR)
-                .setDescription(`${message.author}, you don't have permission to use this command. Only server administrators can use it.`)
-                .setFooter({
-                    text: 'Botanix Labs',
-                    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                })
-            
-            await message.reply({ embeds: [embed] });
-            logWithTimestamp(`Command access denied for user ${message.author.tag} (${message.author.id}) - Administrator permission required`, 'WARN');
-            return;
-        }
+        const notice = await noticeDelivery.deliver(VIOLATION_TYPES.WRONG_THREAD, message, { embeds: [relocatedEmbed] }, { removesOriginal: true });
+        violationLedger.record(VIOLATION_TYPES.WRONG_THREAD, message, {
+            action: `${notice.action}, message relocated`,
+            details: `Moved to thread ${relocated.channel.id} as message ${relocated.id}`
+        });
 
-        // Command format check remains the same
-        const args = message.content.split(' ');
-        
-        // Enhanced command options
-        let channelId;
-        let messageLimit = 5000; // Default limit
-        
-        if (args.length < 3) {
-            await message.reply('Usage: !fetch links <channel_id> [message_limit]');
-            return;
-        }
-        
-        channelId = args[2];
-        
-        // Optional message limit parameter
-        if (args.length >= 4 && !isNaN(parseInt(args[3]))) {
-            messageLimit = Math.min(1000, parseInt(args[3])); // Cap at 1000 for safety
-        }
-        
-        const processingMsg = await message.reply(`Processing... Fetching up to ${messageLimit} messages from <#${channelId}>`);
-        
-        const targetChannel = await client.channels.fetch(channelId).catch(() => null);
-        if (!targetChannel) {
-            await processingMsg.edit('Channel not found or bot has no access to it.');
-            return;
+        if (message.deletable) {
+            await message.delete();
         }
-
-        logWithTimestamp(`Fetching URLs from channel ${channelId} (limit: ${messageLimit})`, 'INFO');
-        
-        // Get stored URLs
-        const storedUrls = await urlStore.getUrls(channelId);
-        const storedUrlMap = new Map(); // Create a map for quick duplicate checking
-        
-        // Create a map of existing URLs for efficient lookup
-        storedUrls.forEach(url => {
-            const key = `${url.messageId}_${url.url.trim()}`;
-            storedUrlMap.set(key, url);
-        });
-        
-        // Array to hold newly discovered URLs
-        let newUrls = [];
-        let fetchedUrls = 0;
-        
-        // Then fetch new URLs with pagination
-        if (targetChannel.type === ChannelType.GuildForum) {
-            const threads = await targetChannel.threads.fetch();
-            
-            for (const [threadId, thread] of threads.threads) {
-                // Use our new pagination function instead of the simple fetch
-                const messages = await fetchAllMessagesWithPagination(thread, messageLimit);
-                
-                messages.forEach(msg => {
-                    if (msg.author.bot) return;
-                    
-                    const foundUrls = msg.content.match(urlTracker.urlRegex);
-                    if (foundUrls) {
-                        fetchedUrls += foundUrls.length;
-                        const messageUrl = `https://discord.com/channels/${msg.guild.id}/${msg.channel.id}/${msg.id}`;
-                        foundUrls.forEach(url => {
-                            // Normalize URL by adding https:// if protocol is missing
-                            const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
-                            const key = `${msg.id}_${normalizedUrl.trim()}`;
-                            
-                            // Only add if not already in the store
-                            if (!storedUrlMap.has(key)) {
-                                newUrls.push({
-                                    url: normalizedUrl,
-                                    timestamp: msg.createdTimestamp,
-                                    userId: msg.author.id,
-                                    author: msg.author.tag,
-                                    threadId: msg.channel.id,
-                                    forumChannelId: msg.channel.parent?.id || null,
-                                    messageId: msg.id,
-                                    messageUrl: messageUrl,
-                                    guildId: msg.guild.id
-                                });
-                            }
-                        });
-                    }
-                });
-                
-                // Optional: Add progress updates for the user
-                await processingMsg.edit(`Processing... Scanned thread "${thread.name}" (found ${newUrls.length} new URLs so far)`);
-            }
-        } else {
-            // Regular channel - use pagination here too
-            const messages = await fetchAllMessagesWithPagination(targetChannel, messageLimit);
-            
-            messages.forEach(msg => {
-                if (msg.author.bot) return;
-                
-                const foundUrls = msg.content.match(urlTracker.urlRegex);
-                if (foundUrls) {
-                    fetchedUrls += foundUrls.length;
-                    const messageUrl = `https://discord.com/channels/${msg.guild.id}/${msg.channel.id}/${msg.id}`;
-                    foundUrls.forEach(url => {
-                        // Normalize URL by adding https:// if protocol is missing
-                        const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
-                        const key = `${msg.id}_${normalizedUrl.trim()}`;
-                        
-                        // Only add if not already in the store
-                        if (!storedUrlMap.has(key)) {
-                            newUrls.push({
-                                url: normalizedUrl,
-                                timestamp: msg.createdTimestamp,
-                                userId: msg.author.id,
-                                author: msg.author.tag,
-                                messageId: msg.id,
-                                messageUrl: messageUrl,
-                                channelId: msg.channel.id,
-                                threadId: msg.channel.isThread() ? msg.channel.id : null,
-                                forumChannelId: msg.channel.isThread() ? msg.channel.parent?.id : null,
-                                guildId: msg.guild.id
-                            });
-                        }
-                    });
-                }
-            });
+    } catch (error) {
+        logWithTimestamp(`Error handling relocated message: ${error.message}`, 'ERROR');
+        if (message.deletable) {
+            await message.delete().catch(() => {});
         }
+    }
 
-        // Sort by timestamp
-        newUrls = newUrls.sort((a, b) => a.timestamp - b.timestamp);
+    // The webhook post is skipped by the messageCreate handlers (bot author), so track it here
+    forumServices.get(forum.id)?.activityStore.updateActivity(relocated.channel.id, message.author.id, relocated.createdTimestamp)
+        .catch(err => logWithTimestamp(`Failed to update activity for user ${message.author.id} in thread ${relocated.channel.id}: ${err.message}`, 'ERROR'));
+    await trackForumMessage(relocated);
+    if (voteHandler) {
+        await voteHandler.handleRelocatedMessage(relocated)
+            .catch(err => logWithTimestamp(`Failed to record relocated post ${relocated.id} for voting: ${err.message}`, 'ERROR'));
+    }
+}
 
-        // Save only new URLs with retries
-        let saved = false;
-        let retries = 3;
-        
-        if (newUrls.length > 0) {
-            await processingMsg.edit(`Found ${newUrls.length} new URLs. Saving to database...`);
-            
-            while (!saved && retries > 0) {
-                try {
-                    await urlStore.saveUrls(channelId, newUrls);
-                    saved = true;
-                    logWithTimestamp(`Successfully saved ${newUrls.length} new URLs for channel ${channelId}`, 'INFO');
-                } catch (error) {
-                    retries--;
-                    if (retries === 0) {
-                        throw error;
+// URL and attachment duplicate checks for a post in a monitored forum
+async function trackForumMessage(message) {
+    if (extractUrls(message).length > 0) {
+        // Create a function for the timeout callback
+        const checkAndStoreUrls = async () => {
+            try {
+                const messageExists = await checkMessageExists(message);
+                if (messageExists) {
+                    // Extract again after the delay so link previews Discord added
+                    // in the meantime (embeds) are included
+                    const found = extractUrls(message);
+                    const fromOtherSources = found.filter(entry => entry.source !== 'content');
+                    if (fromOtherSources.length > 0) {
+                        logWithTimestamp(`Message ${message.id} carries URLs outside its content: ${fromOtherSources.map(e => `${e.url} (${e.source})`).join(', ')}`, 'INFO');
                     }
-                    await new Promise(resolve => setTimeout(resolve, 1000));
+                    await urlTracker.handleUrlMessage(message, found.map(entry => entry.url));
+                } else {
+                    logWithTimestamp(`Message ${message.id} no longer exists, skipping URL check`, 'INFO');
                 }
+            } catch (error) {
+                logWithTimestamp(`Error in URL check: ${error.message}`, 'ERROR');
             }
-        } else {
-            saved = true; // No new URLs to save, but operation was successful
-        }
-
-        if (fetchedUrls === 0) {
-            await processingMsg.edit('No URLs found in this channel.');
-            return;
-        }
-
-        // Get channel name for better display
-        let channelDisplay;
-        try {
-            // Format as a channel mention that will be clickable in Discord
-            channelDisplay = `<#${channelId}>`;
-        } catch (error) {
-            // Fallback to just ID if we can't get proper format
-            channelDisplay = channelId;
-        }
+        };
 
-        const embed = new EmbedBuilder()
-            .setColor('#0099ff')
-            .setTitle('URLs fetched')
-            .setDescription(`Analysis for channel: ${channelDisplay}`)
-            .addFields(
-                { name: 'URLs in Database', value: `${storedUrls.length}`, inline: true },
-                { name: 'URLs Found', value: `${fetchedUrls}`, inline: true },
-                { name: 'New URLs Added', value: `${newUrls.length}`, inline: true },
-                { 
-                    name: 'Storage Status', 
-                    value: saved ? '✅ URLs saved successfully' : '❌ Failed to save URLs'
-                },
-            )
-            .setFooter({
-                text: 'Botanix Labs',
-                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-            })
-
-        await processingMsg.edit({ content: null, embeds: [embed] });
-        logWithTimestamp(`Fetch command complete - Found: ${fetchedUrls}, Added: ${newUrls.length}, Total in DB: ${storedUrls.length + newUrls.length}`, 'INFO');
-    } catch (error) {
-        logWithTimestamp(`Error handling fetch links command: ${error.message}`, 'ERROR');
-        await message.reply('An error occurred while processing the command: ' + error.message).catch(() => {});
+        // Set the timeout with the async function
+        setTimeout(checkAndStoreUrls, URL_CHECK_TIMEOUT);
     }
-}
-
-async function handleCleanupThreadCommand(message) {
-    try {
-        if (!hasCommandPermission(message.member)) {
-            const embed = new EmbedBuilder()
-                .setColor(ERROR_COLOR)
-                .setDescription(`${message.author}, you don't have permission to use this command. Only server administrators can use it.`)
-                .setFooter({
-                    text: 'Botanix Labs',
-                    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                });
-            await message.reply({ embeds: [embed] });
-            logWithTimestamp(`Command access denied for user ${message.author.tag} (${message.author.id}) - Administrator permission required`, 'WARN');
-            return;
-        }
 
-        if (!message.channel.isThread()) {
-            await message.reply('This command must be used inside a thread.');
-            return;
-        }
-
-        const threadId = message.channel.id;
-
-        if (ROLE_TO_THREAD_ENABLED) {
-            // Only allow configured threads
-            const configuredThreadIds = Array.from({length: 6}, (_, i) => process.env[`THREAD_${i}_ID`]).filter(Boolean);
-            if (!configuredThreadIds.includes(threadId)) {
-                await message.reply('This thread is not configured for cleanup. Use this command inside a configured role thread.');
-                return;
-            }
-        } else {
-            // Allow any thread under the main channel
-            const parent = await message.channel.parent?.fetch().catch(() => null);
-            if (!parent || parent.id !== process.env.MAIN_CHANNEL_ID) {
-                await message.reply('This command can only be used in threads that belong to the monitored forum channel.');
-                return;
-            }
-        }
-
-        const processingMsg = await message.reply('Running thread cleanup, please wait...');
-        await threadCleaner.cleanSpecificThread(threadId);
-        await processingMsg.edit('Thread cleanup completed.');
-        logWithTimestamp(`Manual cleanup triggered for thread ${threadId} by ${message.author.tag}`, 'INFO');
-    } catch (error) {
-        logWithTimestamp(`Error handling cleanup thread command: ${error.message}`, 'ERROR');
-        await message.reply('An error occurred while running cleanup: ' + error.message).catch(() => {});
+    // Uploaded files go through the same duplicate checks (see attachmentStore.js)
+    if (ATTACHMENT_TRACKING && message.attachments.size > 0) {
+        await urlTracker.handleAttachmentMessage(message);
     }
 }
 
@@ -632,41 +366,82 @@ setInterval(() => {
 
 // Create instances - MODIFIED: Create a single UrlStorage instance and pass it to UrlTracker
 const urlStore = new UrlStorage();
-const urlTracker = new UrlTracker(client, urlStore); // Pass the existing instance
-const activityStore = new ActivityStore();
-const threadCleaner = new ThreadCleaner(client, activityStore);
+const violationLedger = new ViolationLedger();
+const attachmentStore = new AttachmentStore();
+const shadowMode = new ShadowMode();
+const noticeDelivery = new NoticeDelivery(client);
+const urlTracker = new UrlTracker(client, urlStore, violationLedger, attachmentStore, shadowMode, noticeDelivery); // Pass the existing instance
+const forumServices = new Map(); // forum ID -> { activityStore, threadCleaner }, created on ready
+const urlRetention = new UrlRetention(urlStore, urlTracker);
+const backfillManager = new BackfillManager(client, urlStore);
+const strikeManager = new StrikeManager(client, violationLedger, urlTracker);
+const messageRelocator = new MessageRelocator(client);
+const messageTemplates = new MessageTemplates();
+const commandHandler = new CommandHandler(client, { urlStore, urlTracker, backfillManager, strikeManager, violationLedger, forumServices });
 let voteHandler = null;
 
 client.once('ready', async () => {
     try {
+        await initDb();  // Shared SQLite database (URLs and voting)
+        violationLedger.init();
+        shadowMode.init(); // Dry-run decisions (see shadowMode.js)
+        shadowMode.on('decision', decision => {
+            urlTracker.sendLogToChannel(`Shadow Mode: ${decision.decision}`, [
+                { name: 'Subsystem', value: decision.subsystem, inline: true },
+                { name: 'User', value: decision.userId ? `<@${decision.userId}> (${decision.userId})` : 'Unknown', inline: true },
+                ...(decision.messageUrl ? [{ name: 'Message', value: decision.messageUrl }] : []),
+                ...(decision.threadId && !decision.messageUrl ? [{ name: 'Thread', value: `<#${decision.threadId}>` }] : []),
+                ...(decision.url ? [{ name: 'URL', value: decision.url.slice(0, 1024) }] : []),
+                ...(decision.details ? [{ name: 'Details', value: decision.details.slice(0, 1024) }] : [])
+            ], decision.forumChannelId);
+        });
+        strikeManager.init(); // Escalating sanctions for repeat violations
+        noticeDelivery.init(); // How members are told about violations (see notices.js)
         await urlStore.init();  // Initialize urlStore first
+        attachmentStore.init();
         await urlTracker.init(); // Then initialize urlTracker
-        await activityStore.init(); // Initialize activity store
-        initializeMappings();
-        
-        const mainChannel = await client.channels.fetch(process.env.MAIN_CHANNEL_ID);
-        if (!mainChannel || mainChannel.type !== ChannelType.GuildForum) {
-            throw new Error('MAIN_CHANNEL_ID must be a forum channel');
+        await backfillManager.init(); // Resumes any backfill interrupted by a restart
+
+        // Each monitored forum gets its own activity store and thread cleaner
+        for (const forum of getForums()) {
+            const forumChannel = await client.channels.fetch(forum.id).catch(() => null);
+            if (!forumChannel || forumChannel.type !== ChannelType.GuildForum) {
+                throw new Error(`Monitored channel ${forum.id} must be a forum channel`);
+            }
+
+            const activityStore = new ActivityStore(forum.id);
+            await activityStore.init();
+            const threadCleaner = new ThreadCleaner(client, activityStore, forum, shadowMode);
+            forumServices.set(forum.id, { activityStore, threadCleaner });
+
+            logWithTimestamp(`Monitoring forum channel: ${forumChannel.name} (ROLE_TO_THREAD routing: ${forum.routing ? 'enabled' : 'disabled'})`, 'CONFIG');
+
+            // guildMemberUpdate only reports role changes of cached members
+            if (forum.sync && forumChannel.guild.members.cache.size !== forumChannel.guild.memberCount) {
+                await forumChannel.guild.members.fetch();
+                logWithTimestamp(`Cached ${forumChannel.guild.members.cache.size} members of ${forumChannel.guild.name} for thread membership sync`, 'CONFIG');
+            }
+
+            // Initialize thread cleaner with cron schedule
+            if (threadCleaner.init(forum.cleanup.schedule)) {
+                logWithTimestamp(`Thread cleaner for ${forumChannel.name} scheduled: ${forum.cleanup.schedule}`, 'CONFIG');
+            } else {
+                logWithTimestamp(`Failed to initialize thread cleaner for ${forumChannel.name}`, 'ERROR');
+            }
         }
-        
+
+        await commandHandler.register(); // Slash commands (see commands/)
+
         logWithTimestamp('Bot initialized successfully', 'STARTUP');
-        logWithTimestamp(`Monitoring forum channel: ${mainChannel.name}`, 'CONFIG');
         // Remove this line:
         // logWithTimestamp(`Last updated: 2025-03-12 18:14:35 UTC by noname9006`, 'INFO');
 
-        // URL cleanup has been disabled
-        logWithTimestamp('URL cleanup has been disabled - URLs will be kept forever', 'CONFIG');
-
-        // Initialize thread cleaner with cron schedule
-        if (threadCleaner.init(THREAD_CLEANUP_SCHEDULE)) {
-            logWithTimestamp(`Thread cleaner scheduled: ${THREAD_CLEANUP_SCHEDULE}`, 'CONFIG');
-        } else {
-            logWithTimestamp('Failed to initialize thread cleaner', 'ERROR');
+        // Move URL records past the retention limits to the archive
+        if (urlRetention.init(URL_RETENTION_SCHEDULE)) {
+            logWithTimestamp(`URL retention scheduled: ${URL_RETENTION_SCHEDULE}`, 'CONFIG');
         }
-        logWithTimestamp(`ROLE_TO_THREAD routing: ${ROLE_TO_THREAD_ENABLED ? 'enabled' : 'disabled'}`, 'CONFIG');
 
         // Initialize vote handler
-        await initDb();
         voteHandler = new VoteHandler(client, getDb());
         await voteHandler.init();
         voteHandler.registerEvents();
@@ -682,20 +457,8 @@ client.on('messageCreate', async (message) => {
     try {
         if (message.author.bot || !message.guild || !message.member) return;
 
-        // Handle fetch links command before forum post check
-        if (message.content.startsWith('!fetch links')) {
-            await handleFetchLinksCommand(message);
-            return;
-        }
-
-        // Handle cleanup thread command
-        if (message.content === '!cleanup thread') {
-            await handleCleanupThreadCommand(message);
-            return;
-        }
-
-        const isForumPost = await isMessageInForumPost(message);
-        if (!isForumPost) return;
+        const forum = await getMonitoredForum(message);
+        if (!forum) return;
 
         if (!checkBotPermissions(message.guild, message.channel)) {
             logWithTimestamp(`Insufficient permissions in channel ${message.channel.name}`, 'ERROR');
@@ -703,23 +466,23 @@ client.on('messageCreate', async (message) => {
         }
 
         // Track activity for every message in a monitored forum post (non-blocking)
-        activityStore.updateActivity(message.channel.id, message.author.id, message.createdTimestamp)
+        forumServices.get(forum.id)?.activityStore.updateActivity(message.channel.id, message.author.id, message.createdTimestamp)
             .catch(err => logWithTimestamp(`Failed to update activity for user ${message.author.id} in thread ${message.channel.id}: ${err.message}`, 'ERROR'));
 
         const threadNameData = await getThreadName(message.channel.id);
         try {
             if (checkRateLimit(message.author.id)) return;
 
-            if (ROLE_TO_THREAD_ENABLED) {
+            // IGNORED_ROLES, or the ignored roles set on the dashboard
+            const ignoredRoles = getIgnoredRoles();
+            if (forum.routing) {
                 if (message.member.roles.cache.some(role => ignoredRoles.has(role.id))) return;
 
-                const highestRoleIndex = findHighestRole(message.member.roles.cache);
-                if (highestRoleIndex === -1) return;
-
-                const correctThreadId = process.env[`THREAD_${highestRoleIndex}_ID`];
+                const tier = findHighestTier(forum.tiers, message.member.roles.cache);
+                if (!tier) return;
 
-                if (message.channel.id !== correctThreadId) {
-                    await handleWrongThread(message, correctThreadId);
+                if (!tier.threadIds.includes(message.channel.id)) {
+                    await handleWrongThread(message, tier.threadIds, forum);
                     return;
                 }
             } else {
@@ -727,25 +490,7 @@ client.on('messageCreate', async (message) => {
                 if (message.member.roles.cache.some(role => ignoredRoles.has(role.id))) return;
             }
 
-            const urls = message.content.match(urlTracker.urlRegex);
-            if (urls) {
-                // Create a function for the timeout callback
-                const checkAndStoreUrls = async () => {
-                    try {
-                        const messageExists = await checkMessageExists(message);
-                        if (messageExists) {
-                            await urlTracker.handleUrlMessage(message, urls);
-                        } else {
-                            logWithTimestamp(`Message ${message.id} no longer exists, skipping URL check`, 'INFO');
-                        }
-                    } catch (error) {
-                        logWithTimestamp(`Error in URL check: ${error.message}`, 'ERROR');
-                    }
-                };
-
-                // Set the timeout with the async function
-                setTimeout(checkAndStoreUrls, URL_CHECK_TIMEOUT);
-            }
+            await trackForumMessage(message);
         } finally {
             threadNameData.done();
         }
@@ -754,6 +499,71 @@ client.on('messageCreate', async (message) => {
     }
 });
 
+client.on('interactionCreate', async (interaction) => {
+    await commandHandler.handle(interaction);
+});
+
+client.on('messageUpdate', async (oldMessage, newMessage) => {
+    try {
+        if (newMessage.partial) {
+            newMessage = await newMessage.fetch().catch(() => null);
+            if (!newMessage) return;
+        }
+        if (newMessage.author.bot || !newMessage.guild) return;
+
+        // Embed unfurls also fire messageUpdate - only real edits set editedTimestamp
+        if (!newMessage.editedTimestamp) return;
+        if (!oldMessage.partial && oldMessage.content === newMessage.content) return;
+
+        const forum = await getMonitoredForum(newMessage);
+        if (!forum) return;
+
+        const member = newMessage.member || await newMessage.guild.members.fetch(newMessage.author.id).catch(() => null);
+        if (!member) return;
+        if (member.roles.cache.some(role => getIgnoredRoles().has(role.id))) return;
+
+        const urls = extractUrls(newMessage).map(entry => entry.url);
+        const previousUrls = oldMessage.partial ? null : extractUrls(oldMessage).map(entry => entry.url);
+
+        await urlTracker.handleUrlEdit(newMessage, urls, previousUrls);
+    } catch (error) {
+        logWithTimestamp(`Error processing message edit: ${error.message}`, 'ERROR');
+    }
+});
+
+// Tier role changes update thread membership right away (see ThreadCleaner.syncMember)
+client.on('guildMemberUpdate', async (oldMember, newMember) => {
+    try {
+        if (newMember.user.bot) return;
+
+        for (const { threadCleaner } of forumServices.values()) {
+            await threadCleaner.syncMember(oldMember, newMember);
+        }
+    } catch (error) {
+        logWithTimestamp(`Error syncing thread membership for ${newMember.id}: ${error.message}`, 'ERROR');
+    }
+});
+
+client.on('messageDelete', async (message) => {
+    try {
+        await urlStore.markMessagesDeleted([message.id]);
+        await attachmentStore.markMessagesDeleted([message.id]);
+        await noticeDelivery.handleMessagesDeleted([message.id]);
+    } catch (error) {
+        logWithTimestamp(`Error processing message deletion: ${error.message}`, 'ERROR');
+    }
+});
+
+client.on('messageDeleteBulk', async (messages) => {
+    try {
+        await urlStore.markMessagesDeleted([...messages.keys()]);
+        await attachmentStore.markMessagesDeleted([...messages.keys()]);
+        await noticeDelivery.handleMessagesDeleted([...messages.keys()]);
+    } catch (error) {
+        logWithTimestamp(`Error processing bulk message deletion: ${error.message}`, 'ERROR');
+    }
+});
+
 client.on('error', error => {
     logWithTimestamp(`Client error: ${error.message}`, 'ERROR');
 });
@@ -775,8 +585,13 @@ process.on('unhandledRejection', async (reason, promise) => {
 process.on('SIGINT', () => {
     logWithTimestamp('Shutting down...', 'SHUTDOWN');
     if (voteHandler) voteHandler.shutdown();
-    activityStore.shutdown();
-    threadCleaner.stop();
+    for (const { activityStore, threadCleaner } of forumServices.values()) {
+        activityStore.shutdown();
+        threadCleaner.stop();
+    }
+    urlRetention.stop();
+    strikeManager.stop();
+    noticeDelivery.stop();
     urlStore.shutdown();
     urlTracker.shutdown();
     client.destroy();
@@ -786,8 +601,13 @@ process.on('SIGINT', () => {
 process.on('SIGTERM', () => {
     logWithTimestamp('Shutting down...', 'SHUTDOWN');
     if (voteHandler) voteHandler.shutdown();
-    activityStore.shutdown();
-    threadCleaner.stop();
+    for (const { activityStore, threadCleaner } of forumServices.values()) {
+        activityStore.shutdown();
+        threadCleaner.stop();
+    }
+    urlRetention.stop();
+    strikeManager.stop();
+    noticeDelivery.stop();
     urlStore.shutdown();
     urlTracker.shutdown();
     client.destroy();
@@ -17,6 +17,16 @@ const {
     getPostsCount,
     getStats,
 } = require('./analytics');
+const { validateLinkRules } = require('../linkPolicy');
+const { validateDedupPolicy } = require('../dedupPolicy');
+const { validateStrikePolicy } = require('../strikes');
+const { loadForums, getForums, validateRoutingSettings } = require('../forums');
+const { VIOLATION_TYPES, queryViolations, countViolations, getRepeatOffenders } = require('../violationLedger');
+const { SHADOW_SUBSYSTEMS, validateShadowMode, queryDecisions, countDecisions } = require('../shadowMode');
+const { COMMANDS } = require('../commands');
+const { validateCommandPermissions } = require('../commands/permissions');
+const { DELIVERY_MODES, DEFAULT_DELIVERY, validateViolationDelivery } = require('../notices');
+const { DEFAULT_TEMPLATES, TEMPLATE_PLACEHOLDERS, SAMPLE_VALUES, validateMessageTemplates, renderTemplate, isLocale } = require('../templates');
 
 // ── Env validation ─────────────────────────────────────────────────────────────
 if (!process.env.SESSION_SECRET) {
@@ -24,6 +34,12 @@ if (!process.env.SESSION_SECRET) {
     process.exit(1);
 }
 
+// Monitored forums from FORUMS_CONFIG or .env, so routing settings can be checked against them
+const forumErrors = loadForums();
+if (forumErrors.length > 0) {
+    console.warn(`[WARN] Could not load the monitored forums, routing settings are checked without them: ${forumErrors.join('; ')}`);
+}
+
 const PORT = parseInt(process.env.DASHBOARD_PORT) || 3001;
 const DB_PATH = process.env.VOTING_DB_PATH || path.join(__dirname, '..', 'voting.db');
 
@@ -132,6 +148,46 @@ function normalizeTimeframe(tf) {
     return ['24h', '7d', '30d', '90d', 'all'].includes(tf) ? tf : 'all';
 }
 
+// The violations table is created by the bot; until it has run once there is nothing to show
+function hasViolationsTable() {
+    return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'violations'").get());
+}
+
+// Same for the decisions table, created by the bot once it starts
+function hasDecisionsTable() {
+    return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'decisions'").get());
+}
+
+function parseViolationFilter(query) {
+    const types = Object.values(VIOLATION_TYPES);
+    return {
+        userId: /^\d+$/.test(String(query.user || '').trim()) ? String(query.user).trim() : null,
+        type: types.includes(query.type) ? query.type : null,
+    };
+}
+
+// JSON settings edited on the Settings page, with the check the bot applies before using them
+const JSON_SETTINGS = {
+    link_rules: validateLinkRules,
+    dedup_policy: validateDedupPolicy,
+    strike_policy: validateStrikePolicy,
+    routing_settings: validateRoutingSettings,
+    shadow_mode: validateShadowMode,
+    command_permissions: permissions => validateCommandPermissions(permissions, COMMANDS.map(command => command.data.name)),
+    message_templates: validateMessageTemplates,
+    violation_delivery: validateViolationDelivery
+};
+
+// Parse a JSON setting (the forms send it as text) and validate it: { value } or { error }
+function parseJsonSetting(key, raw, validate) {
+    let value = raw;
+    if (typeof raw === 'string') {
+        try { value = JSON.parse(raw); } catch { return { error: `${key} must be valid JSON` }; }
+    }
+    const errors = validate(value);
+    return errors.length > 0 ? { error: errors.join('; ') } : { value };
+}
+
 // ── Routes ─────────────────────────────────────────────────────────────────────
 
 // Login
@@ -189,24 +245,55 @@ app.get('/posts', requireAuth, (req, res) => {
     res.render('posts', { posts, page, totalPages, timeframe });
 });
 
+// Violations page
+app.get('/violations', requireAuth, (req, res) => {
+    const timeframe = normalizeTimeframe(req.query.timeframe);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const pageSize = 25;
+    const { startMs } = getTimeRange(timeframe);
+    const filter = { ...parseViolationFilter(req.query), since: startMs || null };
+
+    let violations = [];
+    let offenders = [];
+    let totalCount = 0;
+    if (hasViolationsTable()) {
+        violations = queryViolations(db, filter, pageSize, (page - 1) * pageSize);
+        offenders = getRepeatOffenders(db, { type: filter.type, since: filter.since }, 20);
+        totalCount = countViolations(db, filter);
+    }
+    const totalPages = Math.max(1, Math.ceil(totalCount / pageSize));
+
+    res.render('violations', {
+        violations,
+        offenders,
+        page,
+        totalPages,
+        totalCount,
+        timeframe,
+        filter,
+        types: Object.values(VIOLATION_TYPES),
+    });
+});
+
 // Settings page
 app.get('/settings', requireAuth, (req, res) => {
     const settings = getAllSettings();
     // Never send the password hash to the view
     delete settings.dashboard_password_hash;
-    res.render('settings', { settings, saved: req.query.saved === '1', error: null });
+    res.render('settings', { settings, forums: getForums(), commands: COMMANDS.map(command => command.data.name), templateIds: Object.keys(DEFAULT_TEMPLATES), deliveryModes: DELIVERY_MODES, defaultDelivery: DEFAULT_DELIVERY, saved: req.query.saved === '1', error: null });
 });
 
 // ── API Routes ─────────────────────────────────────────────────────────────────
 app.use('/api', apiLimiter, csrfProtect);
 
-// Save settings
+// Save settings. Everything is checked first, so a request with an invalid setting saves nothing
 app.post('/api/settings', requireAuth, (req, res) => {
     try {
         const { tracked_forum_id, tracked_roles, multi_vote_mode, vote_emojis } = req.body;
+        const updates = [];
 
         if (tracked_forum_id !== undefined) {
-            writeSetting('tracked_forum_id', String(tracked_forum_id).trim());
+            updates.push(['tracked_forum_id', String(tracked_forum_id).trim()]);
         }
 
         if (tracked_roles !== undefined) {
@@ -217,7 +304,7 @@ app.post('/api/settings', requireAuth, (req, res) => {
                 roles = tracked_roles;
             }
             if (!Array.isArray(roles)) roles = [];
-            writeSetting('tracked_roles', roles);
+            updates.push(['tracked_roles', roles]);
         }
 
         if (multi_vote_mode !== undefined) {
@@ -225,7 +312,7 @@ app.post('/api/settings', requireAuth, (req, res) => {
             if (!allowed.includes(multi_vote_mode)) {
                 return res.status(400).json({ error: 'Invalid multi_vote_mode' });
             }
-            writeSetting('multi_vote_mode', multi_vote_mode);
+            updates.push(['multi_vote_mode', multi_vote_mode]);
         }
 
         if (vote_emojis !== undefined) {
@@ -238,9 +325,22 @@ app.post('/api/settings', requireAuth, (req, res) => {
             if (!Array.isArray(emojis) || emojis.length !== 5) {
                 return res.status(400).json({ error: 'vote_emojis must be an array of exactly 5 emojis' });
             }
-            writeSetting('vote_emojis', emojis);
+            updates.push(['vote_emojis', emojis]);
+        }
+
+        for (const [key, validate] of Object.entries(JSON_SETTINGS)) {
+            if (req.body[key] === undefined) continue;
+            const parsed = parseJsonSetting(key, req.body[key], validate);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            updates.push([key, parsed.value]);
         }
 
+        dbWrite.transaction(() => {
+            for (const [key, value] of updates) writeSetting(key, value);
+        })();
+
         res.json({ ok: true });
     } catch (err) {
         console.error('Error saving settings:', err);
@@ -290,6 +390,83 @@ app.get('/api/leaderboard', requireAuth, (req, res) => {
     res.json({ topVoted, topVoters, stats, timeframe });
 });
 
+// JSON violations (per user / type / time range). view=offenders returns repeat offenders instead.
+app.get('/api/violations', requireAuth, (req, res) => {
+    const filter = {
+        ...parseViolationFilter(req.query),
+        since: parseInt(req.query.since) || null,
+        until: parseInt(req.query.until) || null,
+    };
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+    if (!hasViolationsTable()) {
+        return res.json(req.query.view === 'offenders' ? { offenders: [] } : { violations: [], total: 0 });
+    }
+    if (req.query.view === 'offenders') {
+        return res.json({ offenders: getRepeatOffenders(db, { type: filter.type, since: filter.since, until: filter.until }, limit) });
+    }
+    res.json({
+        violations: queryViolations(db, filter, limit, offset),
+        total: countViolations(db, filter),
+    });
+});
+
+// JSON shadow mode decisions (per subsystem / user / time range), newest first
+app.get('/api/decisions', requireAuth, (req, res) => {
+    const filter = {
+        subsystem: SHADOW_SUBSYSTEMS.includes(req.query.subsystem) ? req.query.subsystem : null,
+        userId: /^\d+$/.test(String(req.query.user || '').trim()) ? String(req.query.user).trim() : null,
+        since: parseInt(req.query.since) || null,
+        until: parseInt(req.query.until) || null,
+    };
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+    if (!hasDecisionsTable()) {
+        return res.json({ decisions: [], total: 0 });
+    }
+    res.json({
+        decisions: queryDecisions(db, filter, limit, offset),
+        total: countDecisions(db, filter),
+    });
+});
+
+// Default message templates and the placeholders each one is rendered with
+app.get('/api/templates', requireAuth, (req, res) => {
+    res.json({
+        templates: DEFAULT_TEMPLATES,
+        placeholders: TEMPLATE_PLACEHOLDERS,
+        settings: getSetting('message_templates') || {},
+    });
+});
+
+// Render a template with sample values. `message_templates` previews unsaved changes;
+// `values` replaces sample placeholder values.
+app.post('/api/templates/preview', requireAuth, (req, res) => {
+    const { template, locale, values } = req.body;
+    if (!DEFAULT_TEMPLATES[template]) {
+        return res.status(400).json({ error: `Unknown template (use ${Object.keys(DEFAULT_TEMPLATES).join(', ')})` });
+    }
+    if (locale && !isLocale(locale)) {
+        return res.status(400).json({ error: 'locale must look like "de" or "pt-BR"' });
+    }
+
+    const parsed = parseJsonSetting('message_templates', req.body.message_templates !== undefined
+        ? req.body.message_templates
+        : (getSetting('message_templates') || {}), validateMessageTemplates);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    const settings = parsed.value;
+
+    const sample = { ...SAMPLE_VALUES, ...(values && typeof values === 'object' ? values : {}) };
+    res.json({
+        embed: renderTemplate(settings, template, sample, locale || null),
+        placeholders: ['user', 'guild', ...TEMPLATE_PLACEHOLDERS[template]],
+    });
+});
+
 // ── Start server ───────────────────────────────────────────────────────────────
 app.listen(PORT, () => {
     console.log(`[Dashboard] Listening on http://localhost:${PORT}`);
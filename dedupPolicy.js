@@ -0,0 +1,166 @@
+const { getSetting } = require('./voting/db');
+const { logWithTimestamp } = require('./utils');
+
+// Duplicate detection policy lives in the settings table under `dedup_policy`:
+//   {
+//     scope: 'global' | 'forum' | 'thread',   where to look for earlier posts
+//     repostAfterDays: 0,                      earlier posts older than this are ignored (0 = never)
+//     scenarios: { crossUser, sameUserOtherThread, sameUserSameThread },
+//     overrides: { '<forum or thread id>': { ...any of the fields above } }
+//   }
+// A thread override wins over its forum's override, which wins over the forum's own
+// `dedup` settings in the forums config (see forums.js), which win over the base policy.
+
+const DEDUP_SCOPES = ['global', 'forum', 'thread'];
+const DEDUP_SCENARIOS = ['crossUser', 'sameUserOtherThread', 'sameUserSameThread'];
+
+const DEFAULT_POLICY = {
+    scope: 'global',
+    repostAfterDays: 0,
+    scenarios: {
+        crossUser: true,
+        sameUserOtherThread: true,
+        sameUserSameThread: true
+    }
+};
+
+function validatePolicyFields(policy, label) {
+    const errors = [];
+    if (policy.scope !== undefined && !DEDUP_SCOPES.includes(policy.scope)) {
+        errors.push(`${label}scope must be one of ${DEDUP_SCOPES.join(', ')}`);
+    }
+    if (policy.repostAfterDays !== undefined
+        && (typeof policy.repostAfterDays !== 'number' || !(policy.repostAfterDays >= 0))) {
+        errors.push(`${label}repostAfterDays must be a number >= 0`);
+    }
+    if (policy.scenarios !== undefined) {
+        if (!policy.scenarios || typeof policy.scenarios !== 'object' || Array.isArray(policy.scenarios)) {
+            errors.push(`${label}scenarios must be an object`);
+        } else {
+            for (const [name, enabled] of Object.entries(policy.scenarios)) {
+                if (!DEDUP_SCENARIOS.includes(name)) {
+                    errors.push(`${label}unknown scenario "${name}" (expected ${DEDUP_SCENARIOS.join(', ')})`);
+                } else if (typeof enabled !== 'boolean') {
+                    errors.push(`${label}scenarios.${name} must be true or false`);
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Check a dedup policy and return the problems found, one string per problem.
+ * Used by the dashboard before saving and by the bot before applying the policy.
+ *
+ * @param {object} policy
+ * @returns {string[]}
+ */
+function validateDedupPolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['dedup_policy must be an object'];
+    }
+
+    const errors = validatePolicyFields(policy, '');
+    if (policy.overrides !== undefined) {
+        if (!policy.overrides || typeof policy.overrides !== 'object' || Array.isArray(policy.overrides)) {
+            errors.push('overrides must be an object keyed by forum or thread ID');
+        } else {
+            for (const [id, override] of Object.entries(policy.overrides)) {
+                if (!/^\d+$/.test(id)) {
+                    errors.push(`overrides: "${id}" is not a channel ID`);
+                } else if (!override || typeof override !== 'object' || Array.isArray(override)) {
+                    errors.push(`overrides.${id} must be an object`);
+                } else {
+                    errors.push(...validatePolicyFields(override, `overrides.${id}: `));
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+function mergePolicy(base, override) {
+    if (!override) return base;
+    return {
+        scope: override.scope ?? base.scope,
+        repostAfterDays: override.repostAfterDays ?? base.repostAfterDays,
+        scenarios: { ...base.scenarios, ...(override.scenarios || {}) }
+    };
+}
+
+class DedupPolicy {
+    constructor() {
+        this.policy = { ...DEFAULT_POLICY, overrides: {} };
+        this._policySource = null;
+    }
+
+    /**
+     * Re-read the policy from the settings table so dashboard changes apply without a restart.
+     */
+    _reloadPolicy() {
+        const stored = getSetting('dedup_policy') || {};
+
+        const source = JSON.stringify(stored);
+        if (source === this._policySource) return;
+        this._policySource = source;
+
+        const errors = validateDedupPolicy(stored);
+        if (errors.length > 0) {
+            logWithTimestamp(`Invalid dedup policy, keeping previous policy: ${errors.join('; ')}`, 'ERROR');
+            return;
+        }
+
+        this.policy = {
+            ...mergePolicy(DEFAULT_POLICY, stored),
+            overrides: stored.overrides || {}
+        };
+        logWithTimestamp(`Loaded dedup policy (scope: ${this.policy.scope}, ${Object.keys(this.policy.overrides).length} override(s))`, 'CONFIG');
+    }
+
+    /**
+     * Effective policy for a thread, after applying forum and thread overrides.
+     *
+     * @param {string} threadId
+     * @param {string|null} forumChannelId
+     * @param {object|null} forumPolicy  The forum's `dedup` settings from the forums config
+     * @returns {{scope: string, repostAfterDays: number, scenarios: object}}
+     */
+    resolve(threadId, forumChannelId, forumPolicy = null) {
+        this._reloadPolicy();
+        const { overrides, ...base } = this.policy;
+        return mergePolicy(
+            mergePolicy(
+                mergePolicy(base, forumPolicy),
+                forumChannelId ? overrides[forumChannelId] : null
+            ),
+            overrides[threadId]
+        );
+    }
+
+    /**
+     * History lookup filter for UrlStorage.findUrlHistory().
+     *
+     * @param {object} policy  Result of resolve()
+     * @param {string} threadId
+     * @param {string|null} forumChannelId
+     * @param {string|null} userId  Restrict to this poster (used when cross-user checks are off)
+     */
+    historyFilter(policy, threadId, forumChannelId, userId = null) {
+        const filter = {};
+        if (policy.scope === 'thread') {
+            filter.threadId = threadId;
+        } else if (policy.scope === 'forum' && forumChannelId) {
+            filter.forumChannelId = forumChannelId;
+        }
+        if (policy.repostAfterDays > 0) {
+            filter.since = Date.now() - policy.repostAfterDays * 24 * 60 * 60 * 1000;
+        }
+        if (userId) {
+            filter.userId = userId;
+        }
+        return filter;
+    }
+}
+
+module.exports = { DedupPolicy, validateDedupPolicy, DEDUP_SCOPES, DEDUP_SCENARIOS };
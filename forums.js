@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { logWithTimestamp } = require('./utils');
+const { getSetting } = require('./voting/db');
+const { validateLinkRules } = require('./linkPolicy');
+const { validateDedupPolicy } = require('./dedupPolicy');
+const { validateTiers, normalizeTiers, tiersFromEnv } = require('./tiers');
+const {
+    FORUMS_CONFIG,
+    ROLE_TO_THREAD_ENABLED,
+    WRONG_THREAD_RELOCATE,
+    THREAD_SYNC,
+    THREAD_CLEANUP_SCHEDULE,
+    THREAD_INACTIVITY_DAYS,
+    THREAD_USERS_THRESHOLD,
+    THREAD_USERS_THRESHOLD_REMOVE
+} = require('./config');
+
+// Monitored forums are listed in FORUMS_CONFIG (default forums.json) as a JSON array:
+//   {
+//     id: '<forum channel id>',
+//     name?: 'Content',
+//     logChannelId?: '<channel id>',          defaults to LOG_CHANNEL_ID
+//     routing?: true,                          defaults to ROLE_TO_THREAD
+//     relocate?: false,                        move wrong-thread posts instead of deleting them, defaults to WRONG_THREAD_RELOCATE
+//     sync?: false,                            update thread membership when tier roles change, defaults to THREAD_SYNC
+//     tiers?: [{ name?, roleIds, threadIds }, ...],   lowest tier first (see tiers.js)
+//     linkRules?: [...],                       replaces the dashboard link rules in this forum
+//     dedup?: { scope, repostAfterDays, scenarios },   applied on top of the dashboard dedup policy
+//     cleanup?: { schedule, inactivityDays, usersThreshold, usersThresholdRemove, ignoredRoles }
+//   }
+// Missing fields fall back to the environment variables. Without the file a single
+// forum is built from MAIN_CHANNEL_ID, ROLE_<n>_ID / THREAD_<n>_ID (any number of tiers)
+// and the cleanup variables.
+//
+// Routing and cleanup can also be changed from the dashboard, stored in the settings
+// table under `routing_settings` and applied without a restart:
+//   {
+//     ignoredRoles?: [...],           replaces IGNORED_ROLES
+//     ignoredRolesCleanup?: [...],    replaces IGNORED_ROLES_CLEANUP
+//     forums?: { '<forum id>': { routing?, relocate?, sync?, tiers?, cleanup?: { inactivityDays, usersThreshold, usersThresholdRemove, ignoredRoles } } }
+//   }
+// Dashboard values win over the forums config and the environment.
+
+let configuredForums = []; // validated entries from FORUMS_CONFIG or the environment
+let forums = [];
+let ignoredRoles = new Set();
+let settingsSource = null;
+
+function splitIds(value) {
+    return value ? value.split(',').map(id => id.trim()).filter(Boolean) : [];
+}
+
+function isId(value) {
+    return typeof value === 'string' && /^\d+$/.test(value);
+}
+
+function getConfigPath() {
+    return path.resolve(__dirname, FORUMS_CONFIG);
+}
+
+/**
+ * Whether the forums are configured by file rather than by MAIN_CHANNEL_ID.
+ */
+function hasForumsConfig() {
+    return fs.existsSync(getConfigPath());
+}
+
+// The single forum described by the environment variables
+function forumFromEnv() {
+    return { id: process.env.MAIN_CHANNEL_ID, tiers: tiersFromEnv() };
+}
+
+function validateCleanup(cleanup, label, allowSchedule = true) {
+    if (!cleanup || typeof cleanup !== 'object' || Array.isArray(cleanup)) {
+        return [`${label}: cleanup must be an object`];
+    }
+
+    const errors = [];
+    if (cleanup.schedule !== undefined && !allowSchedule) {
+        errors.push(`${label}: cleanup.schedule can only be set in ${FORUMS_CONFIG} or THREAD_CLEANUP_SCHEDULE`);
+    } else if (cleanup.schedule !== undefined && (typeof cleanup.schedule !== 'string' || !cron.validate(cleanup.schedule))) {
+        errors.push(`${label}: cleanup.schedule must be a cron expression`);
+    }
+    if (cleanup.inactivityDays !== undefined && !(Number.isInteger(cleanup.inactivityDays) && cleanup.inactivityDays > 0)) {
+        errors.push(`${label}: cleanup.inactivityDays must be a positive integer`);
+    }
+    if (cleanup.usersThreshold !== undefined && !(Number.isInteger(cleanup.usersThreshold) && cleanup.usersThreshold >= 0)) {
+        errors.push(`${label}: cleanup.usersThreshold must be an integer >= 0 (0 = disabled)`);
+    }
+    if (cleanup.usersThresholdRemove !== undefined && !(Number.isInteger(cleanup.usersThresholdRemove) && cleanup.usersThresholdRemove >= 1)) {
+        errors.push(`${label}: cleanup.usersThresholdRemove must be an integer >= 1`);
+    }
+    if (cleanup.ignoredRoles !== undefined
+        && (!Array.isArray(cleanup.ignoredRoles) || !cleanup.ignoredRoles.every(isId))) {
+        errors.push(`${label}: cleanup.ignoredRoles must be an array of role IDs`);
+    }
+    return errors;
+}
+
+/**
+ * Check a forum list and return the problems found, one string per problem.
+ *
+ * @param {Array<object>} list
+ * @returns {string[]}
+ */
+function validateForums(list) {
+    if (!Array.isArray(list) || list.length === 0) {
+        return ['forums must be a non-empty array'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    list.forEach((forum, i) => {
+        const label = `Forum ${i + 1}${forum && forum.name ? ` (${forum.name})` : ''}`;
+        if (!forum || typeof forum !== 'object' || Array.isArray(forum)) {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (!isId(forum.id)) {
+            errors.push(`${label}: id must be a forum channel ID`);
+        } else if (seen.has(forum.id)) {
+            errors.push(`${label}: forum ${forum.id} is listed more than once`);
+        }
+        seen.add(forum.id);
+
+        if (forum.logChannelId !== undefined && forum.logChannelId !== null && !isId(forum.logChannelId)) {
+            errors.push(`${label}: logChannelId must be a channel ID or null`);
+        }
+        if (forum.routing !== undefined && typeof forum.routing !== 'boolean') {
+            errors.push(`${label}: routing must be true or false`);
+        }
+        if (forum.relocate !== undefined && typeof forum.relocate !== 'boolean') {
+            errors.push(`${label}: relocate must be true or false`);
+        }
+        if (forum.sync !== undefined && typeof forum.sync !== 'boolean') {
+            errors.push(`${label}: sync must be true or false`);
+        }
+
+        const routing = forum.routing ?? ROLE_TO_THREAD_ENABLED;
+        if (forum.tiers !== undefined && !Array.isArray(forum.tiers)) {
+            errors.push(`${label}: tiers must be an array`);
+        } else if (routing && (!forum.tiers || forum.tiers.length === 0)) {
+            errors.push(`${label}: routing is enabled but no tiers are configured`);
+        } else if (forum.tiers) {
+            errors.push(...validateTiers(forum.tiers, label));
+        }
+
+        if (forum.linkRules !== undefined && forum.linkRules !== null) {
+            errors.push(...validateLinkRules(forum.linkRules).map(error => `${label}: linkRules: ${error}`));
+        }
+        if (forum.dedup !== undefined && forum.dedup !== null) {
+            errors.push(...validateDedupPolicy(forum.dedup).map(error => `${label}: dedup: ${error}`));
+            if (forum.dedup && forum.dedup.overrides !== undefined) {
+                errors.push(`${label}: dedup: overrides belong in the dashboard dedup policy`);
+            }
+        }
+        if (forum.cleanup !== undefined) {
+            errors.push(...validateCleanup(forum.cleanup, label));
+        }
+    });
+    return errors;
+}
+
+/**
+ * Check the dashboard `routing_settings` against the configured forums and return the
+ * problems found, one string per problem.
+ *
+ * @param {object} settings
+ * @returns {string[]}
+ */
+function validateRoutingSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ['routing_settings must be an object'];
+    }
+
+    const errors = [];
+    for (const key of ['ignoredRoles', 'ignoredRolesCleanup']) {
+        if (settings[key] !== undefined && (!Array.isArray(settings[key]) || !settings[key].every(isId))) {
+            errors.push(`${key} must be an array of role IDs`);
+        }
+    }
+
+    if (settings.forums !== undefined) {
+        if (!settings.forums || typeof settings.forums !== 'object' || Array.isArray(settings.forums)) {
+            errors.push('forums must be an object keyed by forum channel ID');
+            return errors;
+        }
+        for (const [id, override] of Object.entries(settings.forums)) {
+            const label = `forums.${id}`;
+            const forum = configuredForums.find(f => f.id === id);
+            if (configuredForums.length > 0 && !forum) {
+                errors.push(`${label}: not a monitored forum`);
+                continue;
+            }
+            if (!override || typeof override !== 'object' || Array.isArray(override)) {
+                errors.push(`${label}: must be an object`);
+                continue;
+            }
+            if (override.routing !== undefined && typeof override.routing !== 'boolean') {
+                errors.push(`${label}: routing must be true or false`);
+            }
+            if (override.relocate !== undefined && typeof override.relocate !== 'boolean') {
+                errors.push(`${label}: relocate must be true or false`);
+            }
+            if (override.sync !== undefined && typeof override.sync !== 'boolean') {
+                errors.push(`${label}: sync must be true or false`);
+            }
+            if (override.tiers !== undefined) {
+                errors.push(...validateTiers(override.tiers, label));
+            }
+            if (override.cleanup !== undefined) {
+                errors.push(...validateCleanup(override.cleanup, label, false));
+            }
+
+            const routing = override.routing ?? forum?.routing ?? ROLE_TO_THREAD_ENABLED;
+            const tiers = override.tiers ?? forum?.tiers ?? [];
+            if (routing && Array.isArray(tiers) && tiers.length === 0) {
+                errors.push(`${label}: routing is enabled but no tiers are configured`);
+            }
+        }
+    }
+    return errors;
+}
+
+// Fill in the dashboard settings and the environment defaults for fields the forum leaves out
+function normalizeForum(forum, settings = {}) {
+    const override = (settings.forums && settings.forums[forum.id]) || {};
+    return {
+        id: forum.id,
+        name: forum.name || forum.id,
+        logChannelId: forum.logChannelId !== undefined ? forum.logChannelId : (process.env.LOG_CHANNEL_ID || null),
+        routing: override.routing ?? forum.routing ?? ROLE_TO_THREAD_ENABLED,
+        relocate: override.relocate ?? forum.relocate ?? WRONG_THREAD_RELOCATE,
+        sync: override.sync ?? forum.sync ?? THREAD_SYNC,
+        tiers: normalizeTiers(override.tiers || forum.tiers || []),
+        linkRules: forum.linkRules || null,
+        dedup: forum.dedup || null,
+        cleanup: {
+            schedule: THREAD_CLEANUP_SCHEDULE,
+            inactivityDays: THREAD_INACTIVITY_DAYS,
+            usersThreshold: THREAD_USERS_THRESHOLD,
+            usersThresholdRemove: THREAD_USERS_THRESHOLD_REMOVE,
+            ignoredRoles: settings.ignoredRolesCleanup || splitIds(process.env.IGNORED_ROLES_CLEANUP),
+            ...(forum.cleanup || {}),
+            ...(override.cleanup || {})
+        }
+    };
+}
+
+/**
+ * Re-read `routing_settings` so dashboard changes apply without a restart.
+ */
+function reloadSettings() {
+    const stored = getSetting('routing_settings') || {};
+
+    const source = JSON.stringify(stored);
+    if (source === settingsSource) return;
+    settingsSource = source;
+
+    const errors = validateRoutingSettings(stored);
+    if (errors.length > 0) {
+        logWithTimestamp(`Invalid routing settings, keeping previous settings: ${errors.join('; ')}`, 'ERROR');
+        return;
+    }
+
+    forums = configuredForums.map(forum => normalizeForum(forum, stored));
+    ignoredRoles = new Set(stored.ignoredRoles || splitIds(process.env.IGNORED_ROLES));
+    if (source !== '{}') {
+        logWithTimestamp(`Applied routing settings from the dashboard (${Object.keys(stored.forums || {}).length} forum override(s))`, 'CONFIG');
+    }
+}
+
+/**
+ * Load the monitored forums from FORUMS_CONFIG, or from the environment when the file
+ * does not exist. The previous list is kept when the new one is invalid.
+ *
+ * @returns {string[]} problems found; empty when the forums were loaded
+ */
+function loadForums() {
+    let list;
+    let source;
+    if (hasForumsConfig()) {
+        try {
+            list = JSON.parse(fs.readFileSync(getConfigPath(), 'utf8'));
+        } catch (error) {
+            return [`${FORUMS_CONFIG}: ${error.message}`];
+        }
+        source = FORUMS_CONFIG;
+    } else {
+        list = [forumFromEnv()];
+        source = 'environment';
+    }
+
+    const errors = validateForums(list);
+    if (errors.length > 0) return errors;
+
+    configuredForums = list;
+    forums = list.map(forum => normalizeForum(forum));
+    ignoredRoles = new Set(splitIds(process.env.IGNORED_ROLES));
+    settingsSource = null;
+    logWithTimestamp(`Loaded ${forums.length} monitored forum(s) from ${source}`, 'CONFIG');
+    return [];
+}
+
+function getForums() {
+    reloadSettings();
+    return forums;
+}
+
+/**
+ * @param {string|null} forumId  Forum channel ID (a thread's parentId)
+ * @returns {object|null} the monitored forum, or null when the channel is not monitored
+ */
+function getForum(forumId) {
+    if (!forumId) return null;
+    reloadSettings();
+    return forums.find(forum => forum.id === forumId) || null;
+}
+
+/**
+ * Roles whose holders are exempt from routing and duplicate checks (IGNORED_ROLES).
+ *
+ * @returns {Set<string>}
+ */
+function getIgnoredRoles() {
+    reloadSettings();
+    return ignoredRoles;
+}
+
+module.exports = {
+    loadForums,
+    getForums,
+    getForum,
+    getIgnoredRoles,
+    hasForumsConfig,
+    validateForums,
+    validateRoutingSettings
+};
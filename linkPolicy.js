@@ -0,0 +1,179 @@
+const { getSetting } = require('./voting/db');
+const { logWithTimestamp } = require('./utils');
+
+// Link rules live in the settings table under `link_rules` as a JSON array:
+//   { name, match: 'domain' | 'path' | 'contains' | 'regex', pattern, action, message?, emoji? }
+// Rules are evaluated in order and the first match wins. A forum with its own
+// `linkRules` (see forums.js) uses those instead.
+
+const RULE_ACTIONS = ['delete', 'warn', 'react', 'log', 'allow'];
+const RULE_MATCH_TYPES = ['domain', 'path', 'contains', 'regex'];
+
+const DEFAULT_REACTION = '⚠️';
+
+function stripUrlPrefix(value) {
+    return value.trim().toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/^(www\.|m\.|mobile\.)/, '');
+}
+
+function hostOf(url) {
+    try {
+        return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`).hostname
+            .toLowerCase()
+            .replace(/^(www\.|m\.|mobile\.)/, '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Check a list of rules and return the problems found, one string per problem.
+ * Used by the dashboard before saving and by the bot before applying rules.
+ *
+ * @param {Array<object>} rules
+ * @returns {string[]}
+ */
+function validateLinkRules(rules) {
+    if (!Array.isArray(rules)) return ['link_rules must be an array'];
+
+    const errors = [];
+    rules.forEach((rule, i) => {
+        const label = `Rule ${i + 1}${rule && rule.name ? ` (${rule.name})` : ''}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (!RULE_MATCH_TYPES.includes(rule.match)) {
+            errors.push(`${label}: match must be one of ${RULE_MATCH_TYPES.join(', ')}`);
+        }
+        if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+            errors.push(`${label}: pattern is required`);
+        } else if (rule.match === 'regex') {
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch (err) {
+                errors.push(`${label}: invalid regex - ${err.message}`);
+            }
+        }
+        if (!RULE_ACTIONS.includes(rule.action)) {
+            errors.push(`${label}: action must be one of ${RULE_ACTIONS.join(', ')}`);
+        }
+        if (rule.message !== undefined && typeof rule.message !== 'string') {
+            errors.push(`${label}: message must be a string`);
+        }
+    });
+    return errors;
+}
+
+class LinkPolicy {
+    constructor() {
+        this.rules = [];
+        this._rulesSource = null;
+        this.forumRules = new WeakMap(); // forum linkRules array -> compiled rules
+    }
+
+    /**
+     * Re-read rules from the settings table so dashboard changes apply without a restart.
+     * Falls back to a single delete rule built from BOTANIX_TWITTER when no rules are configured.
+     */
+    _reloadRules() {
+        let rules = getSetting('link_rules');
+        if (!Array.isArray(rules) || rules.length === 0) {
+            rules = this._legacyRules();
+        }
+
+        const source = JSON.stringify(rules);
+        if (source === this._rulesSource) return;
+        this._rulesSource = source;
+
+        const errors = validateLinkRules(rules);
+        if (errors.length > 0) {
+            logWithTimestamp(`Invalid link rules, keeping previous rules: ${errors.join('; ')}`, 'ERROR');
+            return;
+        }
+
+        this.rules = rules.map(rule => this._compile(rule));
+        logWithTimestamp(`Loaded ${this.rules.length} link rule(s)`, 'CONFIG');
+    }
+
+    _legacyRules() {
+        const botanixTwitter = process.env.BOTANIX_TWITTER && process.env.BOTANIX_TWITTER.trim();
+        if (!botanixTwitter) return [];
+        return [{
+            name: 'BOTANIX_TWITTER',
+            match: 'contains',
+            pattern: botanixTwitter,
+            action: 'delete',
+            template: 'twitter_block'
+        }];
+    }
+
+    _compile(rule) {
+        const compiled = { ...rule, name: rule.name || rule.pattern };
+
+        if (rule.match === 'domain') {
+            const domain = hostOf(rule.pattern);
+            compiled.test = url => {
+                const host = hostOf(url);
+                return host === domain || host.endsWith(`.${domain}`);
+            };
+        } else if (rule.match === 'path') {
+            const prefix = stripUrlPrefix(rule.pattern);
+            compiled.test = url => stripUrlPrefix(url).startsWith(prefix);
+        } else if (rule.match === 'contains') {
+            const text = rule.pattern.trim().toLowerCase();
+            compiled.test = url => url.toLowerCase().includes(text);
+        } else {
+            const regex = new RegExp(rule.pattern, 'i');
+            compiled.test = url => regex.test(url);
+        }
+        return compiled;
+    }
+
+    // Forum rules are validated when the forums are loaded, so they only need compiling once
+    _rulesFor(forum) {
+        if (!forum || !forum.linkRules) {
+            this._reloadRules();
+            return this.rules;
+        }
+        if (!this.forumRules.has(forum.linkRules)) {
+            this.forumRules.set(forum.linkRules, forum.linkRules.map(rule => this._compile(rule)));
+        }
+        return this.forumRules.get(forum.linkRules);
+    }
+
+    /**
+     * Find the first rule matching each URL.
+     *
+     * @param {string[]} urls
+     * @param {object|null} forum  Monitored forum the URLs were posted in (see forums.js)
+     * @returns {Array<{url: string, rule: object}>} one entry per matched URL
+     */
+    evaluate(urls, forum = null) {
+        const rules = this._rulesFor(forum);
+        const matches = [];
+        for (const url of urls) {
+            const rule = rules.find(r => r.test(url));
+            if (rule) matches.push({ url, rule });
+        }
+        return matches;
+    }
+
+    /**
+     * Message template for a rule's reply (see templates.js); a rule's own `message`
+     * replaces the template's description.
+     */
+    templateFor(rule) {
+        return {
+            id: rule.template || `link_${rule.action}`,
+            override: rule.message ? { description: rule.message } : null
+        };
+    }
+
+    reactionFor(rule) {
+        return rule.emoji || DEFAULT_REACTION;
+    }
+}
+
+module.exports = { LinkPolicy, validateLinkRules, RULE_ACTIONS, RULE_MATCH_TYPES };
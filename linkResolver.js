@@ -0,0 +1,172 @@
+const { getDb } = require('./voting/db');
+const { logWithTimestamp } = require('./utils');
+const { canonicalizeUrl } = require('./urlCanonicalizer');
+const { SHORT_LINK_RESOLVE, SHORT_LINK_HOSTS, SHORT_LINK_MAX_REDIRECTS, SHORT_LINK_TIMEOUT } = require('./config');
+
+// Expands short links (t.co, bit.ly, lnkd.in, ...) to the URL they redirect to, so a
+// wrapped link gets the same duplicate-detection key as the link itself. Results are
+// cached in the shared database; a resolved short link never changes its key.
+
+// Failed lookups are retried after this long
+const FAILURE_RETRY_MS = 60 * 60 * 1000; // 1 hour
+const USER_AGENT = 'Mozilla/5.0 (compatible; BotanixLinkResolver/1.0)';
+
+const RESOLVER_SCHEMA = `
+CREATE TABLE IF NOT EXISTS short_links (
+  short_url    TEXT PRIMARY KEY,
+  final_url    TEXT,
+  hops         INTEGER NOT NULL DEFAULT 0,
+  error        TEXT,
+  resolved_at  INTEGER NOT NULL
+);
+`;
+
+/**
+ * Default HTTP client: one request without following redirects.
+ * Any replacement must have the same signature, e.g. a stub for a local test server.
+ *
+ * @param {string} url
+ * @param {{timeoutMs: number}} options
+ * @returns {Promise<{status: number, location: string|null}>}
+ */
+async function fetchRedirect(url, { timeoutMs }) {
+    const request = method => fetch(url, {
+        method,
+        redirect: 'manual',
+        headers: { 'user-agent': USER_AGENT },
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    let response = await request('HEAD');
+    // Some shorteners only answer GET
+    if (response.status === 405 || response.status === 403 || response.status === 404) {
+        response = await request('GET');
+        await response.body?.cancel();
+    }
+    return { status: response.status, location: response.headers.get('location') };
+}
+
+class LinkResolver {
+    /**
+     * @param {object} [options]
+     * @param {Function} [options.httpClient]  (url, {timeoutMs}) => Promise<{status, location}>
+     * @param {string[]} [options.hosts]  Shortener hosts to expand
+     * @param {number} [options.maxRedirects]
+     * @param {number} [options.timeoutMs]  Per request
+     * @param {boolean} [options.enabled]
+     */
+    constructor(options = {}) {
+        this.httpClient = options.httpClient || fetchRedirect;
+        this.hosts = new Set((options.hosts || SHORT_LINK_HOSTS).map(host => host.toLowerCase()));
+        this.maxRedirects = options.maxRedirects ?? SHORT_LINK_MAX_REDIRECTS;
+        this.timeoutMs = options.timeoutMs ?? SHORT_LINK_TIMEOUT;
+        this.enabled = options.enabled ?? SHORT_LINK_RESOLVE;
+        this.db = null;
+        this.pending = new Map(); // short_url -> in-flight resolution
+    }
+
+    init() {
+        this.db = getDb();
+        this.db.exec(RESOLVER_SCHEMA);
+        logWithTimestamp(`Short link resolver ${this.enabled ? `enabled for ${this.hosts.size} hosts` : 'disabled'}`, 'CONFIG');
+    }
+
+    isShortLink(url) {
+        if (!this.enabled) return false;
+        try {
+            const host = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, '');
+            return this.hosts.has(host);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * The cached destination of a short link, without any network access.
+     *
+     * @param {string} url
+     * @returns {string|null} null when the URL is not a short link or is not resolved yet
+     */
+    getCached(url) {
+        if (!this.db || !this.isShortLink(url)) return null;
+        const row = this.db.prepare('SELECT final_url FROM short_links WHERE short_url = ? AND final_url IS NOT NULL')
+            .get(canonicalizeUrl(url));
+        return row ? row.final_url : null;
+    }
+
+    /**
+     * Expand a short link. Returns the URL unchanged when it is not a short link or
+     * cannot be resolved; never throws.
+     *
+     * @param {string} url
+     * @returns {Promise<string>}
+     */
+    async resolve(url) {
+        if (!this.db || !this.isShortLink(url)) return url;
+
+        const key = canonicalizeUrl(url);
+        const cached = this.db.prepare('SELECT * FROM short_links WHERE short_url = ?').get(key);
+        if (cached && (cached.final_url || Date.now() - cached.resolved_at < FAILURE_RETRY_MS)) {
+            return cached.final_url || url;
+        }
+
+        if (!this.pending.has(key)) {
+            this.pending.set(key, this._follow(url, key).finally(() => this.pending.delete(key)));
+        }
+        return this.pending.get(key);
+    }
+
+    /**
+     * Resolve several URLs; afterwards getCached() answers for every short link among them.
+     *
+     * @param {string[]} urls
+     */
+    async resolveAll(urls) {
+        await Promise.all([...new Set(urls)].map(url => this.resolve(url)));
+    }
+
+    // Follow redirects while the URL is still a short link. Stopping at the first
+    // non-shortener URL gives the link the user would have posted directly.
+    async _follow(url, key) {
+        let current = url;
+        let hops = 0;
+        let error = null;
+
+        try {
+            while (this.isShortLink(current)) {
+                if (hops >= this.maxRedirects) {
+                    throw new Error(`More than ${this.maxRedirects} redirects`);
+                }
+                const { status, location } = await this.httpClient(current, { timeoutMs: this.timeoutMs });
+                if (status < 300 || status >= 400 || !location) {
+                    throw new Error(`No redirect (HTTP ${status})`);
+                }
+                const next = new URL(location, current);
+                if (next.protocol !== 'http:' && next.protocol !== 'https:') {
+                    throw new Error(`Unsupported redirect target ${next.protocol}`);
+                }
+                current = next.href;
+                hops++;
+            }
+        } catch (err) {
+            error = err.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs}ms` : err.message;
+        }
+
+        const finalUrl = error ? null : current;
+        this.db.prepare(`
+            INSERT INTO short_links (short_url, final_url, hops, error, resolved_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(short_url) DO UPDATE SET
+              final_url = excluded.final_url, hops = excluded.hops, error = excluded.error, resolved_at = excluded.resolved_at
+        `).run(key, finalUrl, hops, error, Date.now());
+
+        if (error) {
+            logWithTimestamp(`Could not resolve short link ${url}: ${error}`, 'WARN');
+            return url;
+        }
+        logWithTimestamp(`Resolved short link ${url} -> ${finalUrl} (${hops} redirect(s))`, 'INFO');
+        return finalUrl;
+    }
+}
+
+module.exports = { LinkResolver, fetchRedirect };
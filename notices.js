@@ -0,0 +1,251 @@
+const { logWithTimestamp } = require('./utils');
+const { getDb, getSetting } = require('./voting/db');
+const { VIOLATION_TYPES } = require('./violationLedger');
+const { AUTO_DELETE_TIMER } = require('./config');
+
+// How members are told about a violation. The setting lives in the settings table under
+// `violation_delivery` and is applied without a restart:
+//   { "autoDeleteSeconds": 30, "types": { "cross_user_duplicate": "dm", "wrong_thread": "auto_delete" } }
+// Delivery modes:
+//   public      - reply to the message, removed when the member deletes their message; when
+//                 the bot removes the message itself the reply is auto-deleted instead
+//   auto_delete - reply that is removed after autoDeleteSeconds (or with the message)
+// autoDeleteSeconds 0 keeps auto-delete replies until the message is deleted (or for good
+// when the bot removed it).
+//   dm          - direct message; falls back to a reply when the member's DMs are closed
+//   log_only    - nothing is sent to the member, only the log channel and the ledger
+// Discord has no ephemeral replies to regular messages, so a DM is the private option.
+// Replies are tracked in the bot_replies table, so their cleanup survives a restart.
+
+const DELIVERY_MODES = ['public', 'auto_delete', 'dm', 'log_only'];
+
+const DEFAULT_DELIVERY = {
+    [VIOLATION_TYPES.WRONG_THREAD]: 'auto_delete',
+    [VIOLATION_TYPES.CROSS_USER_DUPLICATE]: 'public',
+    [VIOLATION_TYPES.SAME_USER_OTHER_THREAD]: 'public',
+    [VIOLATION_TYPES.SAME_USER_SAME_THREAD]: 'public',
+    [VIOLATION_TYPES.DELETED_REPOST]: 'public',
+    [VIOLATION_TYPES.BLOCKED_URL]: 'public'
+};
+
+const SWEEP_INTERVAL = 5000; // How often due auto-delete replies are removed
+const UNKNOWN_MESSAGE = 10008; // Discord API error code
+
+const REPLY_SCHEMA = `
+CREATE TABLE IF NOT EXISTS bot_replies (
+  reply_id           TEXT PRIMARY KEY,
+  channel_id         TEXT NOT NULL,
+  source_message_id  TEXT,
+  violation_type     TEXT,
+  delete_at          INTEGER,
+  created_at         INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_bot_replies_source    ON bot_replies(source_message_id);
+CREATE INDEX IF NOT EXISTS idx_bot_replies_delete_at ON bot_replies(delete_at);
+`;
+
+/**
+ * Check a violation delivery setting and return the problems found, one string per problem.
+ *
+ * @param {object} settings
+ * @returns {string[]}
+ */
+function validateViolationDelivery(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ['violation_delivery must be an object'];
+    }
+
+    const errors = [];
+    const types = Object.values(VIOLATION_TYPES);
+    for (const [key, value] of Object.entries(settings)) {
+        if (key === 'autoDeleteSeconds') {
+            if (!Number.isInteger(value) || value < 0) errors.push('autoDeleteSeconds must be a whole number >= 0 (0 = never)');
+        } else if (key === 'types') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push('types must be an object keyed by violation type');
+                continue;
+            }
+            for (const [type, mode] of Object.entries(value)) {
+                if (!types.includes(type)) {
+                    errors.push(`types: unknown violation type "${type}" (use ${types.join(', ')})`);
+                } else if (!DELIVERY_MODES.includes(mode)) {
+                    errors.push(`types.${type}: unknown delivery "${mode}" (use ${DELIVERY_MODES.join(', ')})`);
+                }
+            }
+        } else {
+            errors.push(`unknown key "${key}" (use autoDeleteSeconds, types)`);
+        }
+    }
+    return errors;
+}
+
+class NoticeDelivery {
+    constructor(client) {
+        this.client = client;
+        this.db = null;
+        this.settings = {};
+        this._settingsSource = null;
+        this.sweepInterval = null;
+    }
+
+    init() {
+        this.db = getDb();
+        this.db.exec(REPLY_SCHEMA);
+        this._reloadSettings();
+
+        // Remove auto-delete replies that are due (also catches up after a restart)
+        this.sweepInterval = setInterval(() => {
+            this.deleteDueReplies()
+                .catch(err => logWithTimestamp(`Error removing expired bot replies: ${err.message}`, 'ERROR'));
+        }, SWEEP_INTERVAL);
+
+        logWithTimestamp('Violation notice delivery initialized', 'STARTUP');
+    }
+
+    /**
+     * Re-read `violation_delivery` so dashboard changes apply without a restart.
+     */
+    _reloadSettings() {
+        const stored = getSetting('violation_delivery') || {};
+
+        const source = JSON.stringify(stored);
+        if (source === this._settingsSource) return;
+        this._settingsSource = source;
+
+        const errors = validateViolationDelivery(stored);
+        if (errors.length > 0) {
+            logWithTimestamp(`Invalid violation delivery setting, keeping previous setting: ${errors.join('; ')}`, 'ERROR');
+            return;
+        }
+
+        this.settings = stored;
+        const modes = Object.values(VIOLATION_TYPES).map(type => `${type}=${this.deliveryFor(type)}`);
+        const autoDelete = this.autoDeleteSeconds > 0 ? `auto-delete after ${this.autoDeleteSeconds}s` : 'auto-delete off';
+        logWithTimestamp(`Violation notice delivery: ${modes.join(', ')} (${autoDelete})`, 'CONFIG');
+    }
+
+    get autoDeleteSeconds() {
+        return this.settings.autoDeleteSeconds ?? AUTO_DELETE_TIMER;
+    }
+
+    /**
+     * @param {string} type  One of VIOLATION_TYPES
+     * @returns {string} one of DELIVERY_MODES
+     */
+    deliveryFor(type) {
+        this._reloadSettings();
+        return this.settings.types?.[type] || DEFAULT_DELIVERY[type] || 'public';
+    }
+
+    /**
+     * Tell a member about a violation. Never throws - a failed delivery is logged.
+     *
+     * @param {string} type  One of VIOLATION_TYPES
+     * @param {import('discord.js').Message} message  The message that broke the rules
+     * @param {object} payload  Message options, e.g. { embeds: [...] }
+     * @param {object} [options]
+     * @param {boolean} [options.removesOriginal]  The bot deletes the message right after, so
+     *   a reply is not tied to it and is sent as an auto-delete reply (also when a DM fails)
+     * @returns {Promise<{mode: string, action: string}>} mode actually used and a short
+     *   description for the violation ledger and log channel
+     */
+    async deliver(type, message, payload, { removesOriginal = false } = {}) {
+        const mode = this.db ? this.deliveryFor(type) : (DEFAULT_DELIVERY[type] || 'public');
+
+        try {
+            if (mode === 'log_only') {
+                return { mode, action: 'not notified' };
+            }
+
+            if (mode === 'dm') {
+                try {
+                    await message.author.send(payload);
+                    return { mode, action: 'sent DM' };
+                } catch (error) {
+                    logWithTimestamp(`Could not DM ${message.author.tag} about ${type}, replying instead: ${error.message}`, 'WARN');
+                    const fallback = removesOriginal ? 'auto_delete' : 'public';
+                    await this._reply(type, message, payload, fallback, removesOriginal);
+                    return { mode: fallback, action: fallback === 'auto_delete' ? 'DM closed, replied (auto-delete)' : 'DM closed, replied' };
+                }
+            }
+
+            // Nothing would remove a public reply to a message the bot deletes
+            const replyMode = removesOriginal ? 'auto_delete' : mode;
+            await this._reply(type, message, payload, replyMode, removesOriginal);
+            return { mode: replyMode, action: replyMode === 'auto_delete' ? 'replied (auto-delete)' : 'replied' };
+        } catch (error) {
+            logWithTimestamp(`Error sending ${type} notice to ${message.author.tag}: ${error.message}`, 'ERROR');
+            return { mode, action: 'notice failed' };
+        }
+    }
+
+    async _reply(type, message, payload, mode, removesOriginal) {
+        const reply = await message.reply(payload);
+        if (!this.db) return reply;
+
+        const now = Date.now();
+        this.db.prepare(`
+            INSERT OR REPLACE INTO bot_replies (reply_id, channel_id, source_message_id, violation_type, delete_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(
+            reply.id,
+            reply.channelId || message.channel.id,
+            removesOriginal ? null : message.id,
+            type,
+            mode === 'auto_delete' && this.autoDeleteSeconds > 0 ? now + this.autoDeleteSeconds * 1000 : null,
+            now
+        );
+        return reply;
+    }
+
+    // Delete one tracked reply and forget it, whether or not it still exists
+    async _deleteReply(row) {
+        try {
+            const channel = await this.client.channels.fetch(row.channel_id).catch(() => null);
+            if (channel) await channel.messages.delete(row.reply_id);
+        } catch (error) {
+            if (error.code !== UNKNOWN_MESSAGE) {
+                logWithTimestamp(`Error deleting bot reply ${row.reply_id}: ${error.message}`, 'ERROR');
+            }
+        }
+        this.db.prepare('DELETE FROM bot_replies WHERE reply_id = ?').run(row.reply_id);
+    }
+
+    async deleteDueReplies() {
+        if (!this.db) return;
+        const due = this.db.prepare('SELECT * FROM bot_replies WHERE delete_at IS NOT NULL AND delete_at <= ?').all(Date.now());
+        for (const row of due) {
+            await this._deleteReply(row);
+        }
+    }
+
+    /**
+     * Remove the replies to deleted messages, and forget tracked replies that were deleted.
+     *
+     * @param {string[]} messageIds
+     */
+    async handleMessagesDeleted(messageIds) {
+        if (!this.db || messageIds.length === 0) return;
+
+        const placeholders = messageIds.map(() => '?').join(', ');
+        this.db.prepare(`DELETE FROM bot_replies WHERE reply_id IN (${placeholders})`).run(...messageIds);
+
+        const replies = this.db.prepare(`SELECT * FROM bot_replies WHERE source_message_id IN (${placeholders})`).all(...messageIds);
+        for (const row of replies) {
+            await this._deleteReply(row);
+        }
+        if (replies.length > 0) {
+            logWithTimestamp(`Removed ${replies.length} bot repl${replies.length === 1 ? 'y' : 'ies'} to deleted message(s)`, 'INFO');
+        }
+    }
+
+    stop() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+    }
+}
+
+module.exports = { NoticeDelivery, validateViolationDelivery, DELIVERY_MODES, DEFAULT_DELIVERY };
@@ -0,0 +1,98 @@
+const { logWithTimestamp } = require('./utils');
+
+// Moves a wrong-thread post to the right thread: the message is re-posted through a
+// webhook on the forum channel that shows the author's name and avatar, with its text
+// and attachments. Deleting the original and telling the user is left to the caller.
+
+const WEBHOOK_NAME = 'Contentoor Relocate';
+const MAX_CONTENT_LENGTH = 2000; // Webhook messages cannot be longer
+
+class MessageRelocator {
+    constructor(client) {
+        this.client = client;
+        this.webhooks = new Map(); // forum channel ID -> webhook
+    }
+
+    // The bot's relocation webhook on a forum channel, created on first use
+    async _getWebhook(forumChannel) {
+        const cached = this.webhooks.get(forumChannel.id);
+        if (cached) return cached;
+
+        const existing = await forumChannel.fetchWebhooks();
+        let webhook = existing.find(hook => hook.name === WEBHOOK_NAME && hook.owner?.id === this.client.user.id);
+        if (!webhook) {
+            webhook = await forumChannel.createWebhook({
+                name: WEBHOOK_NAME,
+                reason: 'Relocating posts made in the wrong thread'
+            });
+            logWithTimestamp(`Created relocation webhook in forum channel ${forumChannel.name}`, 'INFO');
+        }
+        this.webhooks.set(forumChannel.id, webhook);
+        return webhook;
+    }
+
+    /**
+     * Re-post a message in another thread of the same forum under the author's name and avatar.
+     * Throws when the message cannot be re-posted as it is (too long, nothing but stickers,
+     * missing Manage Webhooks permission, file too large for the webhook, ...).
+     *
+     * @param {import('discord.js').Message} message
+     * @param {string} threadId
+     * @returns {Promise<import('discord.js').Message>} the re-posted message as its author sent it (see asAuthor)
+     */
+    async relocate(message, threadId) {
+        if (message.content.length > MAX_CONTENT_LENGTH) {
+            throw new Error(`Message is longer than ${MAX_CONTENT_LENGTH} characters`);
+        }
+        if (!message.content && message.attachments.size === 0) {
+            throw new Error('Message has no text or attachments to re-post');
+        }
+
+        const thread = await this.client.channels.fetch(threadId);
+        if (!thread || !thread.isThread() || thread.parentId !== message.channel.parentId) {
+            throw new Error(`Thread ${threadId} is not in the same forum`);
+        }
+
+        const webhook = await this._getWebhook(thread.parent);
+        const member = message.member;
+        try {
+            const posted = await webhook.send({
+                threadId: thread.id,
+                content: message.content || undefined,
+                username: member?.displayName || message.author.username,
+                avatarURL: (member || message.author).displayAvatarURL(),
+                files: [...message.attachments.values()].map(attachment => ({
+                    attachment: attachment.url,
+                    name: attachment.name,
+                    description: attachment.description || undefined
+                })),
+                // Mentions were already delivered by the original message
+                allowedMentions: { parse: [] }
+            });
+            logWithTimestamp(`Relocated message ${message.id} from ${message.author.tag} to thread ${thread.name} (${posted.id})`, 'INFO');
+            return asAuthor(posted, message);
+        } catch (error) {
+            // The webhook may have been deleted in the meantime; look it up again next time
+            this.webhooks.delete(thread.parentId);
+            throw error;
+        }
+    }
+}
+
+/**
+ * The re-posted message with the author and member of the original. Webhook messages
+ * are authored by the webhook, so URL tracking and voting see this view instead to
+ * credit the person who posted it.
+ *
+ * @param {import('discord.js').Message} posted
+ * @param {import('discord.js').Message} original
+ * @returns {import('discord.js').Message}
+ */
+function asAuthor(posted, original) {
+    return Object.create(posted, {
+        author: { value: original.author },
+        member: { value: original.member }
+    });
+}
+
+module.exports = { MessageRelocator, asAuthor };
@@ -0,0 +1,106 @@
+const cron = require('node-cron');
+const { logWithTimestamp } = require('./utils');
+const { URL_RETENTION_DAYS, URL_RETENTION_MAX_PER_THREAD, URL_RETENTION_KEEP_IF_VOTED, URL_ARCHIVE_PATH } = require('./config');
+
+const MAX_REPORTED_THREADS = 10;
+
+class UrlRetention {
+    constructor(urlStore, urlTracker) {
+        this.urlStore = urlStore;
+        this.urlTracker = urlTracker; // Used for the log channel report
+        this.schedule = null;
+        this.isRunning = false;
+    }
+
+    getPolicy() {
+        return {
+            maxAgeDays: URL_RETENTION_DAYS,
+            maxEntriesPerThread: URL_RETENTION_MAX_PER_THREAD,
+            keepIfVoted: URL_RETENTION_KEEP_IF_VOTED
+        };
+    }
+
+    isEnabled() {
+        const policy = this.getPolicy();
+        return policy.maxAgeDays > 0 || policy.maxEntriesPerThread > 0;
+    }
+
+    init(cronExpression) {
+        if (!this.isEnabled()) {
+            logWithTimestamp('URL retention disabled - set URL_RETENTION_DAYS or URL_RETENTION_MAX_PER_THREAD to enable', 'CONFIG');
+            return false;
+        }
+
+        if (!cronExpression || typeof cronExpression !== 'string') {
+            logWithTimestamp('Invalid cron expression for URL retention schedule', 'ERROR');
+            return false;
+        }
+
+        try {
+            if (!cron.validate(cronExpression)) {
+                throw new Error('Invalid cron expression format');
+            }
+
+            this.schedule = cron.schedule(cronExpression, () => {
+                this.performCleanup()
+                    .catch(err => logWithTimestamp(`Error during scheduled URL retention: ${err.message}`, 'ERROR'));
+            });
+
+            const policy = this.getPolicy();
+            logWithTimestamp(`URL retention initialized with schedule: ${cronExpression} (max age: ${policy.maxAgeDays || 'none'} days, max per thread: ${policy.maxEntriesPerThread || 'none'}, keep if voted: ${policy.keepIfVoted ? 'yes' : 'no'})`, 'STARTUP');
+            return true;
+        } catch (error) {
+            logWithTimestamp(`Failed to initialize URL retention: ${error.message}`, 'ERROR');
+            return false;
+        }
+    }
+
+    async performCleanup() {
+        if (this.isRunning) {
+            logWithTimestamp('URL retention is already in progress, skipping', 'WARN');
+            return null;
+        }
+
+        this.isRunning = true;
+        try {
+            logWithTimestamp('Starting URL retention run', 'INFO');
+            const report = await this.urlStore.cleanup(this.getPolicy());
+            await this.sendReport(report);
+            return report;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async sendReport(report) {
+        if (report.removed === 0) return;
+
+        const threadLines = report.byThread
+            .slice(0, MAX_REPORTED_THREADS)
+            .map(thread => `<#${thread.threadId}>: ${thread.count}`);
+        if (report.byThread.length > MAX_REPORTED_THREADS) {
+            threadLines.push(`…and ${report.byThread.length - MAX_REPORTED_THREADS} more`);
+        }
+
+        await this.urlTracker.sendLogToChannel(
+            'URL Retention Run',
+            [
+                { name: 'Archived', value: `${report.removed}`, inline: true },
+                { name: 'Past Max Age', value: `${report.byReason.maxAge}`, inline: true },
+                { name: 'Over Thread Limit', value: `${report.byReason.maxEntriesPerThread}`, inline: true },
+                { name: 'Kept (Voted)', value: `${report.keptVoted}`, inline: true },
+                { name: 'Archive', value: URL_ARCHIVE_PATH, inline: true },
+                { name: 'By Thread', value: threadLines.join('\n') }
+            ]
+        );
+    }
+
+    stop() {
+        if (this.schedule) {
+            this.schedule.stop();
+            logWithTimestamp('URL retention schedule stopped', 'INFO');
+        }
+    }
+}
+
+module.exports = UrlRetention;
@@ -1,27 +1,43 @@
 const cron = require('node-cron');
 const { logWithTimestamp } = require('./utils');
-const { ROLE_TO_THREAD_ENABLED, THREAD_INACTIVITY_DAYS, THREAD_USERS_THRESHOLD, THREAD_USERS_THRESHOLD_REMOVE } = require('./config');
+const { isThreadAllowed, findHighestTier, getTierThreadIds } = require('./tiers');
+const { getForum, getIgnoredRoles } = require('./forums');
+const { THREAD_SYNC_WELCOME } = require('./config');
+const { MessageTemplates } = require('./templates');
 
 const MAX_HISTORY_MESSAGES = 10000;
 const HISTORY_FETCH_BATCH = 100;
 const HISTORY_FETCH_DELAY_MS = 250;
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
-// Cleanup-specific ignored roles (separate from IGNORED_ROLES used for routing)
-const ignoredRolesCleanup = new Set(
-    process.env.IGNORED_ROLES_CLEANUP
-        ? process.env.IGNORED_ROLES_CLEANUP.split(',').map(r => r.trim()).filter(Boolean)
-        : []
-);
-
+// Removes members from the threads of one monitored forum, using that forum's
+// tiers and cleanup settings (see forums.js)
 class ThreadCleaner {
-    constructor(client, activityStore) {
+    constructor(client, activityStore, forum, shadowMode = null) {
         this.client = client;
         this.activityStore = activityStore;
+        this.shadowMode = shadowMode;
+        this.templates = new MessageTemplates();
+        this.forumId = forum.id;
         this.schedule = null;
         this.isRunning = false;
     }
 
+    // Looked up on each use so dashboard routing changes apply to the next run
+    get forum() {
+        return getForum(this.forumId);
+    }
+
+    get cleanup() {
+        return this.forum.cleanup;
+    }
+
+    // Cleanup-specific ignored roles (separate from IGNORED_ROLES used for routing)
+    isCleanupExempt(member) {
+        const exempt = this.cleanup.ignoredRoles;
+        return member.roles.cache.some(role => exempt.includes(role.id));
+    }
+
     init(cronExpression) {
         if (!cronExpression || typeof cronExpression !== 'string') {
             logWithTimestamp('Invalid cron expression for thread cleaning schedule', 'ERROR');
@@ -38,7 +54,7 @@ class ThreadCleaner {
                     .catch(err => logWithTimestamp(`Error during scheduled thread cleanup: ${err.message}`, 'ERROR'));
             });
 
-            logWithTimestamp(`Thread cleaner initialized with schedule: ${cronExpression}`, 'STARTUP');
+            logWithTimestamp(`Thread cleaner for forum ${this.forum.name} initialized with schedule: ${cronExpression}`, 'STARTUP');
             return true;
         } catch (error) {
             logWithTimestamp(`Failed to initialize thread cleaner: ${error.message}`, 'ERROR');
@@ -47,51 +63,35 @@ class ThreadCleaner {
     }
 
     getThreadAndRoleMappings() {
-        const threadIds = [];
-        const roleToThread = new Map();
-        const threadToRole = new Map();
-        const ignoredRoles = new Set(
-            process.env.IGNORED_ROLES
-                ? process.env.IGNORED_ROLES.split(',').map(r => r.trim()).filter(Boolean)
-                : []
-        );
-
-        for (let i = 0; i <= 5; i++) {
-            const roleId = process.env[`ROLE_${i}_ID`];
-            const threadId = process.env[`THREAD_${i}_ID`];
-
-            if (roleId && threadId) {
-                threadIds.push(threadId);
-                roleToThread.set(roleId, threadId);
-                threadToRole.set(threadId, roleId);
-            }
-        }
+        const threadIds = getTierThreadIds(this.forum.tiers);
+        const ignoredRoles = getIgnoredRoles();
 
-        return { threadIds, roleToThread, threadToRole, ignoredRoles };
+        return { threadIds, ignoredRoles };
     }
 
-    findHighestRole(memberRoles) {
-        for (let i = 5; i >= 0; i--) {
-            const roleId = process.env[`ROLE_${i}_ID`];
-            if (memberRoles.has(roleId)) {
-                return i;
-            }
-        }
-        return -1;
-    }
-
-    memberHasCorrectRoleForThread(member, threadId, threadToRole, ignoredRoles) {
+    memberHasCorrectRoleForThread(member, threadId, ignoredRoles) {
         if (member.roles.cache.some(role => ignoredRoles.has(role.id))) {
             return true;
         }
 
-        const highestRoleIndex = this.findHighestRole(member.roles.cache);
-        if (highestRoleIndex === -1) {
-            return false;
+        return isThreadAllowed(this.forum.tiers, member.roles.cache, threadId);
+    }
+
+    // Remove a member from a thread, or in shadow mode only record that it would happen
+    async removeMember(thread, memberId, reason) {
+        if (this.shadowMode?.isShadow('cleanup')) {
+            this.shadowMode.record('cleanup', 'would remove', {
+                userId: memberId,
+                guildId: thread.guild.id,
+                threadId: thread.id,
+                forumChannelId: this.forumId,
+                details: `Thread ${thread.name}: ${reason}`
+            });
+            return;
         }
 
-        const correctThreadId = process.env[`THREAD_${highestRoleIndex}_ID`];
-        return threadId === correctThreadId;
+        await thread.members.remove(memberId);
+        logWithTimestamp(`Removed member ${memberId} from thread ${thread.name}: ${reason}`, 'INFO');
     }
 
     async findLastMessageTimestamp(thread, userId) {
@@ -132,16 +132,16 @@ class ThreadCleaner {
     }
 
     async cleanThread(thread, roleMode) {
-        const { threadToRole, ignoredRoles } = this.getThreadAndRoleMappings();
+        const { ignoredRoles } = this.getThreadAndRoleMappings();
         const threadId = thread.id;
 
         const threadMembers = await thread.members.fetch();
         logWithTimestamp(`Checking ${threadMembers.size} members in thread ${thread.name} (${threadId})`, 'INFO');
 
-        if (roleMode && THREAD_USERS_THRESHOLD > 0) {
+        if (roleMode && this.cleanup.usersThreshold > 0) {
             const eligibleMemberCount = threadMembers.filter(m => m.id !== this.client.user.id).size;
-            if (eligibleMemberCount < THREAD_USERS_THRESHOLD) {
-                logWithTimestamp(`Thread ${thread.name}: ${eligibleMemberCount} members below threshold ${THREAD_USERS_THRESHOLD}, skipping role-mismatch cleanup`, 'INFO');
+            if (eligibleMemberCount < this.cleanup.usersThreshold) {
+                logWithTimestamp(`Thread ${thread.name}: ${eligibleMemberCount} members below threshold ${this.cleanup.usersThreshold}, skipping role-mismatch cleanup`, 'INFO');
                 return 0;
             }
         }
@@ -157,30 +157,27 @@ class ThreadCleaner {
                 if (roleMode) {
                     // Role-based cleanup
                     const shouldRemove = !guildMember ||
-                        !this.memberHasCorrectRoleForThread(guildMember, threadId, threadToRole, ignoredRoles);
+                        !this.memberHasCorrectRoleForThread(guildMember, threadId, ignoredRoles);
 
                     if (shouldRemove) {
-                        await thread.members.remove(memberId);
+                        await this.removeMember(thread, memberId, !guildMember ? 'left server' : 'incorrect role');
                         removedFromThread++;
-                        const reason = !guildMember ? 'left server' : 'incorrect role';
-                        logWithTimestamp(`Removed member ${memberId} from thread ${thread.name}: ${reason}`, 'INFO');
                     }
                 } else {
                     // Time-based cleanup
                     // Members who left the server are removed
                     if (!guildMember) {
-                        await thread.members.remove(memberId);
+                        await this.removeMember(thread, memberId, 'left server');
                         removedFromThread++;
-                        logWithTimestamp(`Removed member ${memberId} from thread ${thread.name}: left server`, 'INFO');
                         continue;
                     }
 
                     // Skip members with cleanup-exempt roles
-                    if (guildMember.roles.cache.some(role => ignoredRolesCleanup.has(role.id))) {
+                    if (this.isCleanupExempt(guildMember)) {
                         continue;
                     }
 
-                    const thresholdMs = THREAD_INACTIVITY_DAYS * MS_PER_DAY;
+                    const thresholdMs = this.cleanup.inactivityDays * MS_PER_DAY;
                     const now = Date.now();
 
                     let lastActivity = this.activityStore.getLastActivity(threadId, memberId);
@@ -197,15 +194,13 @@ class ThreadCleaner {
 
                     if (lastActivity === null) {
                         // User never posted — remove
-                        await thread.members.remove(memberId);
+                        await this.removeMember(thread, memberId, 'never posted');
                         removedFromThread++;
-                        logWithTimestamp(`Removed member ${memberId} from thread ${thread.name}: never posted`, 'INFO');
                     } else if (now - lastActivity > thresholdMs) {
                         // Inactive beyond threshold — remove
-                        await thread.members.remove(memberId);
-                        removedFromThread++;
                         const daysAgo = Math.floor((now - lastActivity) / MS_PER_DAY);
-                        logWithTimestamp(`Removed member ${memberId} from thread ${thread.name}: inactive for ${daysAgo} days`, 'INFO');
+                        await this.removeMember(thread, memberId, `inactive for ${daysAgo} days`);
+                        removedFromThread++;
                     }
                 }
             } catch (memberError) {
@@ -224,8 +219,8 @@ class ThreadCleaner {
         // Exclude the bot itself
         const eligibleMembers = [...threadMembers.values()].filter(m => m.id !== this.client.user.id);
 
-        if (eligibleMembers.length < THREAD_USERS_THRESHOLD) {
-            logWithTimestamp(`Thread ${thread.name}: member count ${eligibleMembers.length} below threshold ${THREAD_USERS_THRESHOLD}, skipping`, 'INFO');
+        if (eligibleMembers.length < this.cleanup.usersThreshold) {
+            logWithTimestamp(`Thread ${thread.name}: member count ${eligibleMembers.length} below threshold ${this.cleanup.usersThreshold}, skipping`, 'INFO');
             return 0;
         }
 
@@ -235,7 +230,7 @@ class ThreadCleaner {
             const guildMember = await thread.guild.members.fetch(member.id).catch(() => null);
 
             // Skip members with cleanup-exempt roles (if we can fetch them)
-            if (guildMember && guildMember.roles.cache.some(role => ignoredRolesCleanup.has(role.id))) {
+            if (guildMember && this.isCleanupExempt(guildMember)) {
                 continue;
             }
 
@@ -246,14 +241,13 @@ class ThreadCleaner {
         // Sort ascending: least recently active first (0 = never active, sorts first)
         membersWithActivity.sort((a, b) => a.lastActivity - b.lastActivity);
 
-        const toRemove = membersWithActivity.slice(0, THREAD_USERS_THRESHOLD_REMOVE);
+        const toRemove = membersWithActivity.slice(0, this.cleanup.usersThresholdRemove);
         let removedCount = 0;
 
         for (const { id } of toRemove) {
             try {
-                await thread.members.remove(id);
+                await this.removeMember(thread, id, 'threshold exceeded (least active)');
                 removedCount++;
-                logWithTimestamp(`Removed member ${id} from thread ${thread.name}: threshold exceeded (least active)`, 'INFO');
             } catch (err) {
                 logWithTimestamp(`Error removing member ${id} from thread ${thread.name} during threshold cleanup: ${err.message}`, 'ERROR');
             }
@@ -270,32 +264,31 @@ class ThreadCleaner {
 
         this.isRunning = true;
         const startTime = Date.now();
-        logWithTimestamp('Starting scheduled thread cleanup', 'INFO');
+        logWithTimestamp(`Starting scheduled thread cleanup for forum ${this.forum.name}`, 'INFO');
 
         try {
             let threadIds;
 
-            if (ROLE_TO_THREAD_ENABLED) {
+            if (this.forum.routing) {
                 const mappings = this.getThreadAndRoleMappings();
                 threadIds = mappings.threadIds;
 
                 if (threadIds.length === 0) {
-                    logWithTimestamp('No threads configured for cleanup', 'WARN');
+                    logWithTimestamp(`No threads configured for cleanup in forum ${this.forum.name}`, 'WARN');
                     return;
                 }
             } else {
-                // Time-based: clean all threads under MAIN_CHANNEL_ID
-                const mainChannelId = process.env.MAIN_CHANNEL_ID;
-                const mainChannel = await this.client.channels.fetch(mainChannelId).catch(() => null);
-                if (!mainChannel) {
-                    logWithTimestamp(`Main channel ${mainChannelId} not found`, 'ERROR');
+                // Time-based: clean all threads under the forum channel
+                const forumChannel = await this.client.channels.fetch(this.forum.id).catch(() => null);
+                if (!forumChannel) {
+                    logWithTimestamp(`Forum channel ${this.forum.id} not found`, 'ERROR');
                     return;
                 }
-                const fetchedThreads = await mainChannel.threads.fetch();
+                const fetchedThreads = await forumChannel.threads.fetch();
                 threadIds = Array.from(fetchedThreads.threads.keys());
 
                 if (threadIds.length === 0) {
-                    logWithTimestamp('No active threads found under main channel', 'WARN');
+                    logWithTimestamp(`No active threads found under forum ${this.forum.name}`, 'WARN');
                     return;
                 }
             }
@@ -319,10 +312,10 @@ class ThreadCleaner {
                         continue;
                     }
 
-                    const removed = await this.cleanThread(thread, ROLE_TO_THREAD_ENABLED);
+                    const removed = await this.cleanThread(thread, this.forum.routing);
                     totalRemoved += removed;
 
-                    if (THREAD_USERS_THRESHOLD > 0) {
+                    if (this.cleanup.usersThreshold > 0) {
                         const thresholdRemoved = await this.applyThresholdCleanup(thread);
                         totalRemoved += thresholdRemoved;
                     }
@@ -335,7 +328,7 @@ class ThreadCleaner {
             }
 
             const duration = (Date.now() - startTime) / 1000;
-            logWithTimestamp(`Thread cleanup completed in ${duration.toFixed(2)}s: Checked ${totalChecked} threads, removed ${totalRemoved} members, failed threads: ${failedThreads}`, 'INFO');
+            logWithTimestamp(`Thread cleanup for forum ${this.forum.name} completed in ${duration.toFixed(2)}s: Checked ${totalChecked} threads, removed ${totalRemoved} members, failed threads: ${failedThreads}`, 'INFO');
         } catch (error) {
             logWithTimestamp(`Thread cleanup failed: ${error.message}`, 'ERROR');
         } finally {
@@ -354,9 +347,9 @@ class ThreadCleaner {
         logWithTimestamp(`Starting thread cleanup for specific thread: ${threadId}`, 'INFO');
 
         try {
-            if (ROLE_TO_THREAD_ENABLED) {
-                const { threadToRole } = this.getThreadAndRoleMappings();
-                if (!threadToRole.has(threadId)) {
+            if (this.forum.routing) {
+                const { threadIds } = this.getThreadAndRoleMappings();
+                if (!threadIds.includes(threadId)) {
                     logWithTimestamp(`Thread ${threadId} not configured for cleanup`, 'WARN');
                     return;
                 }
@@ -374,10 +367,10 @@ class ThreadCleaner {
                 return;
             }
 
-            const removed = await this.cleanThread(thread, ROLE_TO_THREAD_ENABLED);
+            const removed = await this.cleanThread(thread, this.forum.routing);
 
             let totalRemoved = removed;
-            if (THREAD_USERS_THRESHOLD > 0) {
+            if (this.cleanup.usersThreshold > 0) {
                 totalRemoved += await this.applyThresholdCleanup(thread);
             }
 
@@ -390,10 +383,89 @@ class ThreadCleaner {
         }
     }
 
+    /**
+     * Update a member's thread membership when their tier changes, instead of waiting for
+     * them to post in the wrong thread or for the next cleanup run. The member is added to
+     * the threads of their new tier and removed from the forum's other tier threads, unless
+     * they hold an IGNORED_ROLES or cleanup-exempt role.
+     *
+     * @param {import('discord.js').GuildMember} oldMember
+     * @param {import('discord.js').GuildMember} newMember
+     * @returns {Promise<{added: string[], removed: string[]}>} thread IDs
+     */
+    async syncMember(oldMember, newMember) {
+        const result = { added: [], removed: [] };
+        const forum = this.forum;
+        if (!forum.routing || !forum.sync) return result;
+
+        const oldTier = findHighestTier(forum.tiers, oldMember.roles.cache);
+        const newTier = findHighestTier(forum.tiers, newMember.roles.cache);
+        if (oldTier === newTier) return result;
+
+        const memberId = newMember.id;
+        const allowedThreadIds = newTier ? newTier.threadIds : [];
+        const ignoredRoles = getIgnoredRoles();
+        const keepMemberships = newMember.roles.cache.some(role => ignoredRoles.has(role.id)) || this.isCleanupExempt(newMember);
+
+        for (const threadId of getTierThreadIds(forum.tiers)) {
+            const allowed = allowedThreadIds.includes(threadId);
+            if (!allowed && keepMemberships) continue;
+
+            try {
+                const thread = await this.client.channels.fetch(threadId).catch(() => null);
+                if (!thread || !thread.isThread()) {
+                    logWithTimestamp(`Thread ${threadId} not found, skipping membership sync`, 'WARN');
+                    continue;
+                }
+
+                const isMember = await thread.members.fetch({ member: memberId }).then(() => true).catch(() => false);
+                if (allowed && !isMember) {
+                    if (this.shadowMode?.isShadow('cleanup')) {
+                        this.shadowMode.record('cleanup', 'would add', {
+                            userId: memberId,
+                            guildId: thread.guild.id,
+                            threadId,
+                            forumChannelId: forum.id,
+                            details: `Thread ${thread.name}: tier changed to ${newTier.name}`
+                        });
+                        continue;
+                    }
+                    await thread.members.add(memberId);
+                    result.added.push(threadId);
+                    logWithTimestamp(`Added member ${memberId} to thread ${thread.name}: tier changed to ${newTier.name}`, 'INFO');
+                } else if (!allowed && isMember) {
+                    await this.removeMember(thread, memberId, `tier changed to ${newTier ? newTier.name : 'none'}`);
+                    result.removed.push(threadId);
+                }
+            } catch (error) {
+                logWithTimestamp(`Error syncing member ${memberId} in thread ${threadId}: ${error.message}`, 'ERROR');
+            }
+        }
+
+        if (THREAD_SYNC_WELCOME && result.added.length > 0) {
+            await this.sendWelcome(newMember, newTier, result.added);
+        }
+        return result;
+    }
+
+    async sendWelcome(member, tier, threadIds) {
+        const embed = this.templates.render('thread_welcome', {
+            user: `${member}`,
+            tier: tier.name,
+            threads: threadIds.map(threadId => `<#${threadId}>`).join(', '),
+            count: threadIds.length
+        }, member.guild);
+        try {
+            await member.send({ embeds: [embed] });
+        } catch (error) {
+            logWithTimestamp(`Could not send welcome message to ${member.id}: ${error.message}`, 'WARN');
+        }
+    }
+
     stop() {
         if (this.schedule) {
             this.schedule.stop();
-            logWithTimestamp('Thread cleaner schedule stopped', 'INFO');
+            logWithTimestamp(`Thread cleaner schedule stopped for forum ${this.forum.name}`, 'INFO');
         }
     }
 }
@@ -0,0 +1,238 @@
+const EventEmitter = require('events');
+const { logWithTimestamp } = require('./utils');
+const { getDb, getSetting } = require('./voting/db');
+
+// Shadow (dry-run) mode: enforcement decisions are still computed, but instead of acting
+// on them the bot records them in the decisions table and the forum's log channel, marked
+// "would delete", "would warn", "would remove", ... The setting lives in the settings table
+// under `shadow_mode` and is applied without a restart:
+//   { enabled: false, routing: false, urls: false, cleanup: false }
+// `enabled` puts every subsystem in shadow mode; the others do it for one subsystem:
+//   routing - wrong-thread deletion and relocation
+//   urls    - link rule and duplicate replies, reactions and deletions (URLs and attachments)
+//   cleanup - thread member removal by the cleaner and thread membership sync
+// Shadowed decisions are not written to the violation ledger, so they never count as strikes.
+
+const SHADOW_SUBSYSTEMS = ['routing', 'urls', 'cleanup'];
+
+const DECISION_SCHEMA = `
+CREATE TABLE IF NOT EXISTS decisions (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  subsystem         TEXT NOT NULL,
+  decision          TEXT NOT NULL,
+  user_id           TEXT,
+  user_name         TEXT,
+  guild_id          TEXT,
+  forum_channel_id  TEXT,
+  thread_id         TEXT,
+  message_id        TEXT,
+  message_url       TEXT,
+  url               TEXT,
+  details           TEXT,
+  created_at        INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_decisions_created   ON decisions(created_at);
+CREATE INDEX IF NOT EXISTS idx_decisions_subsystem ON decisions(subsystem, created_at);
+CREATE INDEX IF NOT EXISTS idx_decisions_user      ON decisions(user_id, created_at);
+`;
+
+/**
+ * Check a shadow mode setting and return the problems found, one string per problem.
+ *
+ * @param {object} settings
+ * @returns {string[]}
+ */
+function validateShadowMode(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ['shadow_mode must be an object'];
+    }
+
+    const errors = [];
+    for (const [key, value] of Object.entries(settings)) {
+        if (key !== 'enabled' && !SHADOW_SUBSYSTEMS.includes(key)) {
+            errors.push(`unknown subsystem "${key}" (use enabled, ${SHADOW_SUBSYSTEMS.join(', ')})`);
+        } else if (typeof value !== 'boolean') {
+            errors.push(`${key} must be true or false`);
+        }
+    }
+    return errors;
+}
+
+// WHERE clause shared by the query functions
+function buildFilter({ subsystem, userId, since, until } = {}) {
+    const conditions = [];
+    const params = [];
+    if (subsystem) {
+        conditions.push('subsystem = ?');
+        params.push(subsystem);
+    }
+    if (userId) {
+        conditions.push('user_id = ?');
+        params.push(userId);
+    }
+    if (since) {
+        conditions.push('created_at >= ?');
+        params.push(since);
+    }
+    if (until) {
+        conditions.push('created_at < ?');
+        params.push(until);
+    }
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+function toDecision(row) {
+    return {
+        id: row.id,
+        subsystem: row.subsystem,
+        decision: row.decision,
+        userId: row.user_id,
+        userName: row.user_name,
+        guildId: row.guild_id,
+        forumChannelId: row.forum_channel_id,
+        threadId: row.thread_id,
+        messageId: row.message_id,
+        messageUrl: row.message_url,
+        url: row.url,
+        details: row.details,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Shadowed decisions, newest first.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{subsystem?: string, userId?: string, since?: number, until?: number}} filter
+ * @param {number} limit
+ * @param {number} offset
+ * @returns {object[]}
+ */
+function queryDecisions(db, filter = {}, limit = 50, offset = 0) {
+    const { where, params } = buildFilter(filter);
+    return db.prepare(`SELECT * FROM decisions ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset)
+        .map(toDecision);
+}
+
+function countDecisions(db, filter = {}) {
+    const { where, params } = buildFilter(filter);
+    return db.prepare(`SELECT COUNT(*) AS n FROM decisions ${where}`).get(...params).n;
+}
+
+// Emits 'decision' (decision) for every recorded decision; contentoor.js posts them to the log channel
+class ShadowMode extends EventEmitter {
+    constructor() {
+        super();
+        this.db = null;
+        this.settings = {};
+        this._settingsSource = null;
+    }
+
+    init() {
+        this.db = getDb();
+        this.db.exec(DECISION_SCHEMA);
+        this._reloadSettings();
+        logWithTimestamp('Decision log initialized', 'STARTUP');
+    }
+
+    /**
+     * Re-read `shadow_mode` so dashboard changes apply without a restart.
+     */
+    _reloadSettings() {
+        const stored = getSetting('shadow_mode') || {};
+
+        const source = JSON.stringify(stored);
+        if (source === this._settingsSource) return;
+        this._settingsSource = source;
+
+        const errors = validateShadowMode(stored);
+        if (errors.length > 0) {
+            logWithTimestamp(`Invalid shadow mode setting, keeping previous setting: ${errors.join('; ')}`, 'ERROR');
+            return;
+        }
+
+        this.settings = stored;
+        const shadowed = SHADOW_SUBSYSTEMS.filter(subsystem => stored.enabled || stored[subsystem]);
+        logWithTimestamp(`Shadow mode ${shadowed.length > 0 ? `on for ${shadowed.join(', ')}` : 'off'}`, 'CONFIG');
+    }
+
+    /**
+     * Whether a subsystem only records its decisions.
+     *
+     * @param {string} subsystem  One of SHADOW_SUBSYSTEMS
+     * @returns {boolean}
+     */
+    isShadow(subsystem) {
+        if (!this.db) return false;
+        this._reloadSettings();
+        return Boolean(this.settings.enabled || this.settings[subsystem]);
+    }
+
+    /**
+     * Record a decision that was not carried out. Never throws - a failed write is logged.
+     *
+     * @param {string} subsystem  One of SHADOW_SUBSYSTEMS
+     * @param {string} decision  What the bot would have done, e.g. 'would delete'
+     * @param {object} info
+     * @param {import('discord.js').Message} [info.message]  The message the decision is about
+     * @param {string} [info.userId]  Needed without a message, like the remaining IDs
+     * @param {string} [info.guildId]
+     * @param {string} [info.threadId]
+     * @param {string} [info.forumChannelId]
+     * @param {string} [info.url]
+     * @param {string} [info.details]
+     * @returns {number|null} the decision ID
+     */
+    record(subsystem, decision, info = {}) {
+        if (!this.db) return null;
+
+        const message = info.message || null;
+        const guildId = message ? (message.guild?.id || message.guildId || null) : (info.guildId || null);
+        const threadId = message ? message.channel.id : (info.threadId || null);
+        const row = {
+            subsystem,
+            decision,
+            user_id: message ? message.author.id : (info.userId || null),
+            user_name: message ? message.author.tag : null,
+            guild_id: guildId,
+            forum_channel_id: message ? (message.channel.parentId || null) : (info.forumChannelId || null),
+            thread_id: threadId,
+            message_id: message ? message.id : null,
+            message_url: message ? `https://discord.com/channels/${guildId}/${threadId}/${message.id}` : null,
+            url: info.url || null,
+            details: info.details || null,
+            created_at: Date.now()
+        };
+
+        let id;
+        try {
+            id = Number(this.db.prepare(`
+                INSERT INTO decisions
+                  (subsystem, decision, user_id, user_name, guild_id, forum_channel_id, thread_id,
+                   message_id, message_url, url, details, created_at)
+                VALUES (@subsystem, @decision, @user_id, @user_name, @guild_id, @forum_channel_id, @thread_id,
+                        @message_id, @message_url, @url, @details, @created_at)
+            `).run(row).lastInsertRowid);
+        } catch (error) {
+            logWithTimestamp(`Failed to record ${subsystem} decision "${decision}": ${error.message}`, 'ERROR');
+            return null;
+        }
+
+        logWithTimestamp(`Shadow mode (${subsystem}): ${decision}${row.user_id ? ` for ${row.user_id}` : ''}${row.details ? ` - ${row.details}` : ''}`, 'INFO');
+        this.emit('decision', toDecision({ id, ...row }));
+        return id;
+    }
+}
+
+module.exports = {
+    ShadowMode,
+    SHADOW_SUBSYSTEMS,
+    validateShadowMode,
+    queryDecisions,
+    countDecisions
+};
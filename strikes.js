@@ -0,0 +1,368 @@
+const { getSetting, getDb } = require('./voting/db');
+const { logWithTimestamp } = require('./utils');
+const { VIOLATION_TYPES } = require('./violationLedger');
+const { getForums } = require('./forums');
+const { getTierRoleIds } = require('./tiers');
+const { MessageTemplates } = require('./templates');
+
+// Escalating sanctions for repeat offenders. Every unpardoned violation in the ledger is a
+// strike; strikes older than windowDays no longer count. The policy lives in the settings
+// table under `strike_policy`:
+//   {
+//     enabled: true,
+//     windowDays: 30,
+//     types: ['cross_user_duplicate', ...],   optional, default all types
+//     steps: [{ strikes: 3, action: 'dm' }, { strikes: 5, action: 'timeout', durationMinutes: 60 },
+//             { strikes: 7, action: 'remove_role', durationHours: 24 }, { strikes: 10, action: 'flag' }]
+//   }
+// A step fires when a violation brings the user's strike count to exactly its `strikes`.
+// Past the last step, every further strike repeats the last step.
+
+const STRIKE_ACTIONS = ['dm', 'timeout', 'remove_role', 'flag'];
+const MAX_TIMEOUT_MINUTES = 28 * 24 * 60; // Discord limit
+const ROLE_RESTORE_INTERVAL = 60000; // 1 minute
+const UNKNOWN_MEMBER = 10007; // Discord API error codes
+const UNKNOWN_ROLE = 10011;
+
+const DEFAULT_POLICY = {
+    enabled: false,
+    windowDays: 30,
+    types: null,
+    steps: [
+        { strikes: 3, action: 'dm' },
+        { strikes: 5, action: 'timeout', durationMinutes: 60 },
+        { strikes: 7, action: 'remove_role', durationHours: 24 },
+        { strikes: 10, action: 'flag' }
+    ]
+};
+
+const STRIKE_SCHEMA = `
+CREATE TABLE IF NOT EXISTS strike_actions (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id       TEXT NOT NULL,
+  guild_id      TEXT,
+  action        TEXT NOT NULL,
+  strikes       INTEGER NOT NULL,
+  violation_id  INTEGER,
+  role_id       TEXT,
+  expires_at    INTEGER,
+  restored_at   INTEGER,
+  details       TEXT,
+  created_at    INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_strike_actions_user    ON strike_actions(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_strike_actions_pending ON strike_actions(action, restored_at, expires_at);
+`;
+
+/**
+ * Check a strike policy and return the problems found, one string per problem.
+ * Used by the dashboard before saving and by the bot before applying the policy.
+ *
+ * @param {object} policy
+ * @returns {string[]}
+ */
+function validateStrikePolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['strike_policy must be an object'];
+    }
+
+    const errors = [];
+    if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+    if (policy.windowDays !== undefined && (typeof policy.windowDays !== 'number' || !(policy.windowDays > 0))) {
+        errors.push('windowDays must be a number > 0');
+    }
+    if (policy.types !== undefined && policy.types !== null) {
+        const known = Object.values(VIOLATION_TYPES);
+        if (!Array.isArray(policy.types)) {
+            errors.push('types must be an array');
+        } else {
+            policy.types.filter(type => !known.includes(type))
+                .forEach(type => errors.push(`unknown violation type "${type}"`));
+        }
+    }
+    if (policy.steps !== undefined) {
+        if (!Array.isArray(policy.steps)) {
+            errors.push('steps must be an array');
+        } else {
+            policy.steps.forEach((step, i) => {
+                const label = `Step ${i + 1}`;
+                if (!step || typeof step !== 'object') {
+                    errors.push(`${label}: must be an object`);
+                    return;
+                }
+                if (!Number.isInteger(step.strikes) || step.strikes < 1) {
+                    errors.push(`${label}: strikes must be a whole number >= 1`);
+                }
+                if (!STRIKE_ACTIONS.includes(step.action)) {
+                    errors.push(`${label}: action must be one of ${STRIKE_ACTIONS.join(', ')}`);
+                }
+                if (step.action === 'timeout'
+                    && !(typeof step.durationMinutes === 'number' && step.durationMinutes > 0 && step.durationMinutes <= MAX_TIMEOUT_MINUTES)) {
+                    errors.push(`${label}: durationMinutes must be between 1 and ${MAX_TIMEOUT_MINUTES}`);
+                }
+                if (step.action === 'remove_role' && !(typeof step.durationHours === 'number' && step.durationHours > 0)) {
+                    errors.push(`${label}: durationHours must be a number > 0`);
+                }
+            });
+            const thresholds = policy.steps.map(step => step && step.strikes);
+            if (new Set(thresholds).size !== thresholds.length) {
+                errors.push('steps must have distinct strike counts');
+            }
+        }
+    }
+    return errors;
+}
+
+class StrikeManager {
+    constructor(client, violationLedger, urlTracker) {
+        this.client = client;
+        this.violationLedger = violationLedger;
+        this.urlTracker = urlTracker; // Used for the log channel
+        this.templates = new MessageTemplates();
+        this.db = null;
+        this.policy = DEFAULT_POLICY;
+        this._policySource = null;
+        this.restoreInterval = null;
+    }
+
+    init() {
+        this.db = getDb();
+        this.db.exec(STRIKE_SCHEMA);
+
+        this.violationLedger.on('violation', (violation, message) => {
+            this.handleViolation(violation, message)
+                .catch(err => logWithTimestamp(`Error applying strike policy for ${violation.userId}: ${err.message}`, 'ERROR'));
+        });
+
+        // Give back tier roles whose removal has expired (also catches up after a restart)
+        this.restoreInterval = setInterval(() => {
+            this.restoreExpiredRoles()
+                .catch(err => logWithTimestamp(`Error restoring tier roles: ${err.message}`, 'ERROR'));
+        }, ROLE_RESTORE_INTERVAL);
+
+        logWithTimestamp('Strike manager initialized', 'STARTUP');
+    }
+
+    /**
+     * Re-read the policy from the settings table so dashboard changes apply without a restart.
+     */
+    _reloadPolicy() {
+        const stored = getSetting('strike_policy') || {};
+
+        const source = JSON.stringify(stored);
+        if (source === this._policySource) return;
+        this._policySource = source;
+
+        const errors = validateStrikePolicy(stored);
+        if (errors.length > 0) {
+            logWithTimestamp(`Invalid strike policy, keeping previous policy: ${errors.join('; ')}`, 'ERROR');
+            return;
+        }
+
+        this.policy = {
+            ...DEFAULT_POLICY,
+            ...stored,
+            steps: [...(stored.steps || DEFAULT_POLICY.steps)].sort((a, b) => a.strikes - b.strikes)
+        };
+        logWithTimestamp(`Loaded strike policy (${this.policy.enabled ? 'enabled' : 'disabled'}, ${this.policy.steps.length} step(s), ${this.policy.windowDays} day window)`, 'CONFIG');
+    }
+
+    /**
+     * Active strikes for a user under the current policy.
+     */
+    getStrikeCount(userId) {
+        this._reloadPolicy();
+        const since = Date.now() - this.policy.windowDays * 24 * 60 * 60 * 1000;
+        return this.violationLedger.countStrikes(userId, since, this.policy.types);
+    }
+
+    async handleViolation(violation, message) {
+        this._reloadPolicy();
+        if (!this.policy.enabled || this.policy.steps.length === 0) return;
+        if (this.policy.types && !this.policy.types.includes(violation.type)) return;
+
+        const strikes = this.getStrikeCount(violation.userId);
+        const lastStep = this.policy.steps[this.policy.steps.length - 1];
+        const step = strikes > lastStep.strikes
+            ? lastStep
+            : this.policy.steps.find(s => s.strikes === strikes);
+        if (!step) return;
+
+        const member = message.member
+            || await message.guild?.members.fetch(violation.userId).catch(() => null);
+        if (!member) {
+            logWithTimestamp(`Strike step ${step.action} skipped for ${violation.userId}: member not found`, 'WARN');
+            return;
+        }
+
+        logWithTimestamp(`User ${member.user.tag} reached ${strikes} strikes, applying ${step.action}`, 'INFO');
+        const details = await this.applyStep(step, member, strikes, violation);
+
+        this.db.prepare(`
+            INSERT INTO strike_actions (user_id, guild_id, action, strikes, violation_id, details, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(violation.userId, member.guild.id, step.action, strikes, violation.id, details, Date.now());
+
+        await this.urlTracker.sendLogToChannel(
+            step.action === 'flag' ? 'Moderator Review Requested' : 'Strike Sanction Applied',
+            [
+                { name: 'User', value: `<@${violation.userId}> (${violation.userId})` },
+                { name: 'Strikes', value: `${strikes} in the last ${this.policy.windowDays} days`, inline: true },
+                { name: 'Action', value: step.action, inline: true },
+                { name: 'Latest Violation', value: `${violation.type}\n${violation.messageUrl}` },
+                { name: 'Result', value: details }
+            ],
+            message.channel?.parentId
+        );
+    }
+
+    // Carry out one step; returns a short description of what happened
+    async applyStep(step, member, strikes, violation) {
+        const windowText = `${this.policy.windowDays} days`;
+
+        if (step.action === 'dm') {
+            const embed = this.templates.render('strike_warning', {
+                strikes,
+                days: this.policy.windowDays,
+                count: strikes,
+                violation: violation.messageUrl
+            }, member.guild);
+            try {
+                await member.send({ embeds: [embed] });
+                return 'DM warning sent';
+            } catch (error) {
+                return `DM failed: ${error.message}`;
+            }
+        }
+
+        if (step.action === 'timeout') {
+            try {
+                await member.timeout(step.durationMinutes * 60 * 1000, `${strikes} violations within ${windowText}`);
+                return `Timed out for ${step.durationMinutes} minutes`;
+            } catch (error) {
+                return `Timeout failed: ${error.message}`;
+            }
+        }
+
+        if (step.action === 'remove_role') {
+            // Tier roles of every monitored forum (see forums.js)
+            const tierRoleIds = getTierRoleIds(getForums().flatMap(forum => forum.tiers));
+            const tierRoles = tierRoleIds.filter(roleId => member.roles.cache.has(roleId));
+            if (tierRoles.length === 0) return 'No tier role to remove';
+
+            const expiresAt = Date.now() + step.durationHours * 60 * 60 * 1000;
+            try {
+                await member.roles.remove(tierRoles, `${strikes} violations within ${windowText}`);
+            } catch (error) {
+                return `Role removal failed: ${error.message}`;
+            }
+
+            const insert = this.db.prepare(`
+                INSERT INTO strike_actions (user_id, guild_id, action, strikes, violation_id, role_id, expires_at, created_at)
+                VALUES (?, ?, 'role_removed', ?, ?, ?, ?, ?)
+            `);
+            const insertTx = this.db.transaction(() => {
+                for (const roleId of tierRoles) {
+                    insert.run(member.id, member.guild.id, strikes, violation.id, roleId, expiresAt, Date.now());
+                }
+            });
+            insertTx();
+            return `Removed ${tierRoles.map(id => `<@&${id}>`).join(', ')} until <t:${Math.floor(expiresAt / 1000)}:f>`;
+        }
+
+        // flag - the log channel embed is the review request
+        return 'Flagged for moderator review';
+    }
+
+    async restoreExpiredRoles() {
+        const due = this.db.prepare(`
+            SELECT * FROM strike_actions
+            WHERE action = 'role_removed' AND restored_at IS NULL AND expires_at <= ?
+        `).all(Date.now());
+        const markRestored = this.db.prepare('UPDATE strike_actions SET restored_at = ?, details = ? WHERE id = ?');
+
+        for (const row of due) {
+            let details = 'Role restored';
+            try {
+                const guild = await this.client.guilds.fetch(row.guild_id);
+                const member = await guild.members.fetch(row.user_id);
+                await member.roles.add(row.role_id, 'Strike role removal expired');
+                logWithTimestamp(`Restored role ${row.role_id} to ${member.user.tag}`, 'INFO');
+            } catch (error) {
+                if (error.code === UNKNOWN_MEMBER) {
+                    details = 'Member left the server';
+                } else if (error.code === UNKNOWN_ROLE) {
+                    details = 'Role no longer exists';
+                } else {
+                    // Left unrestored so the next run retries
+                    logWithTimestamp(`Failed to restore role ${row.role_id} to ${row.user_id}, will retry: ${error.message}`, 'ERROR');
+                    continue;
+                }
+            }
+            markRestored.run(Date.now(), details, row.id);
+        }
+    }
+
+    /**
+     * Pardon strikes and give back any tier roles removed by the strike policy.
+     *
+     * @param {import('discord.js').GuildMember|null} member  Member to restore roles to, if still in the guild
+     * @param {string} userId
+     * @param {number|null} count  Strikes to pardon (null = all)
+     * @param {string} pardonedBy  User ID of the admin
+     * @returns {Promise<{pardoned: number, rolesRestored: number}>}
+     */
+    async pardon(member, userId, count, pardonedBy) {
+        const pardoned = this.violationLedger.pardon(userId, count, pardonedBy);
+
+        let rolesRestored = 0;
+        if (count === null) {
+            const pending = this.db.prepare(`
+                SELECT * FROM strike_actions WHERE action = 'role_removed' AND restored_at IS NULL AND user_id = ?
+            `).all(userId);
+            const markRestored = this.db.prepare('UPDATE strike_actions SET restored_at = ?, details = ? WHERE id = ?');
+            const markDue = this.db.prepare('UPDATE strike_actions SET expires_at = MIN(expires_at, ?) WHERE id = ?');
+            for (const row of pending) {
+                if (!member) {
+                    // Not in the guild: the scheduled restore picks it up now instead of at expiry
+                    markDue.run(Date.now(), row.id);
+                    continue;
+                }
+                try {
+                    await member.roles.add(row.role_id, 'Strikes pardoned');
+                } catch (error) {
+                    // Left unrestored so the scheduled restore retries it
+                    logWithTimestamp(`Failed to restore role ${row.role_id} to ${userId}: ${error.message}`, 'ERROR');
+                    markDue.run(Date.now(), row.id);
+                    continue;
+                }
+                markRestored.run(Date.now(), 'Restored by pardon', row.id);
+                rolesRestored++;
+            }
+        }
+
+        return { pardoned, rolesRestored };
+    }
+
+    /**
+     * Recent sanctions for a user, newest first.
+     */
+    getRecentActions(userId, limit = 5) {
+        return this.db.prepare(`
+            SELECT * FROM strike_actions WHERE user_id = ? AND action != 'role_removed'
+            ORDER BY created_at DESC LIMIT ?
+        `).all(userId, limit);
+    }
+
+    stop() {
+        if (this.restoreInterval) {
+            clearInterval(this.restoreInterval);
+            this.restoreInterval = null;
+        }
+    }
+}
+
+module.exports = { StrikeManager, validateStrikePolicy, STRIKE_ACTIONS };
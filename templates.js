@@ -0,0 +1,407 @@
+const { getSetting } = require('./voting/db');
+const { logWithTimestamp } = require('./utils');
+
+// Text, colors and footer of every embed the bot sends to members. The footer is also used
+// by the embeds built in code (command replies, backfill status, log messages). The defaults below
+// can be changed in the settings table under `message_templates`, applied without a restart:
+//   {
+//     "footer":    { "text": "Botanix Labs", "iconURL": "https://..." },
+//     "templates": { "wrong_thread": { "color": "#f2b518", "description": "..." } },
+//     "locales":   { "de": { "wrong_thread": { "description": "..." } } }
+//   }
+// A template override only replaces the properties it lists (`fields` as a whole).
+// Locale variants are picked by the guild's preferred locale: an exact match ("pt-BR")
+// wins over the language ("pt"), which wins over `templates` and the defaults.
+// Any text may contain {placeholders} (see TEMPLATE_PLACEHOLDERS) and may be a plural
+// object like { "one": "...", "other": "..." }, chosen by the {count} placeholder.
+
+const DEFAULT_FOOTER = {
+    text: 'Botanix Labs',
+    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+};
+
+const DEFAULT_TEMPLATES = {
+    wrong_thread: {
+        color: '#f2b518',
+        description: '{user}, please use the thread that matches your highest role.\nYour message has been removed because it was posted to a wrong thread.',
+        fields: [
+            { name: { one: "Here's the right one for you:", other: 'Here are the right ones for you:' }, value: '{threads}' },
+            { name: 'Your message content:', value: '{content}' }
+        ],
+        timestamp: true
+    },
+    wrong_thread_relocated: {
+        color: '#f2b518',
+        description: '{user}, please use the thread that matches your highest role.\nYour message was posted to a wrong thread, so it has been moved to {thread}.',
+        fields: [{ name: 'Your message is now here:', value: '{link}' }],
+        timestamp: true
+    },
+    link_delete: {
+        color: '#ff0000',
+        description: '{user}, links like this are not allowed here\nPlease contribute with your own original content'
+    },
+    link_warn: {
+        color: '#ff9900',
+        description: '{user}, please double-check this link - it may not be suitable for this forum',
+        fields: [{ name: 'URL:', value: '{url}' }]
+    },
+    twitter_block: {
+        color: '#ff0000',
+        description: "{user}, simply resharing Botanix tweets doesn't add much value\nPlease contribute with your own original content"
+    },
+    duplicate_cross_user: {
+        color: '#ff0000',
+        title: 'Please share only your own original content!',
+        description: '{user}, this {item} was previously shared by another user',
+        fields: [
+            { name: 'Original message:', value: '{original}' },
+            { name: '{itemLabel}:', value: '{url}' }
+        ]
+    },
+    duplicate_other_thread: {
+        color: '#ff0000',
+        title: 'You have posted this before',
+        description: '{user}, you shared this {item} in a different thread',
+        fields: [
+            { name: 'Original message:', value: '{original}' },
+            { name: '{itemLabel}:', value: '{url}' }
+        ]
+    },
+    duplicate_same_thread: {
+        color: '#ff0000',
+        title: 'You have posted this before',
+        description: '{user}, you already shared this {item} in this thread',
+        fields: [
+            { name: 'Original Message:', value: '{original}' },
+            { name: '{itemLabel}', value: '{url}' }
+        ]
+    },
+    duplicate_deleted_same_thread: {
+        color: '#ff0000',
+        title: 'You have posted this before',
+        description: '{user}, you already shared this {item} in this thread',
+        fields: [{ name: 'Original Message:', value: 'deleted' }]
+    },
+    duplicate_deleted_other_thread: {
+        color: '#ff0000',
+        title: 'You have posted this before',
+        description: '{user}, you already shared this {item} in a different thread',
+        fields: [{ name: 'Original Message:', value: 'deleted' }]
+    },
+    command_denied: {
+        color: '#f2b518',
+        description: "{user}, you don't have permission to use this command."
+    },
+    command_denied_admin: {
+        color: '#f2b518',
+        description: "{user}, you don't have permission to use this command. Only server administrators can use it."
+    },
+    strike_warning: {
+        color: '#ff9900',
+        title: 'Please review the posting rules',
+        description: 'You have {strikes} rule violations in {guild} within the last {days} days. Further violations lead to stronger sanctions.',
+        fields: [{ name: 'Latest violation', value: '{violation}' }]
+    },
+    thread_welcome: {
+        color: '#0099ff',
+        title: 'Welcome to {tier}',
+        description: 'Your roles in {guild} changed, so you now post in a different thread.',
+        fields: [{ name: { one: 'Your thread:', other: 'Your threads:' }, value: '{threads}' }]
+    }
+};
+
+// Placeholders each template is rendered with, besides {user} and {guild}
+const TEMPLATE_PLACEHOLDERS = {
+    wrong_thread: ['thread', 'threads', 'count', 'content'],
+    wrong_thread_relocated: ['thread', 'link'],
+    link_delete: ['url', 'rule'],
+    link_warn: ['url', 'rule'],
+    twitter_block: ['url'],
+    duplicate_cross_user: ['item', 'itemLabel', 'url', 'original', 'originalUser', 'age'],
+    duplicate_other_thread: ['item', 'itemLabel', 'url', 'original', 'thread', 'age'],
+    duplicate_same_thread: ['item', 'itemLabel', 'url', 'original', 'age'],
+    duplicate_deleted_same_thread: ['item', 'itemLabel', 'url', 'age', 'deletedAge'],
+    duplicate_deleted_other_thread: ['item', 'itemLabel', 'url', 'thread', 'age', 'deletedAge'],
+    command_denied: ['command'],
+    command_denied_admin: ['command'],
+    strike_warning: ['strikes', 'days', 'violation'],
+    thread_welcome: ['tier', 'threads', 'count']
+};
+
+// Values used by the dashboard preview
+const SAMPLE_VALUES = {
+    user: '@member',
+    guild: 'Botanix',
+    thread: '#content-tier-2',
+    threads: '#content-tier-2, #content-tier-3',
+    count: 2,
+    content: 'Check out my new article https://example.com/my-article',
+    link: 'https://discord.com/channels/1/2/3',
+    url: 'https://example.com/my-article',
+    rule: 'example rule',
+    item: 'URL',
+    itemLabel: 'URL',
+    original: 'https://discord.com/channels/1/2/3',
+    originalUser: '@original-poster',
+    age: '3 days ago',
+    deletedAge: '2 hours ago',
+    command: '/strikes pardon',
+    strikes: 3,
+    days: 30,
+    violation: 'https://discord.com/channels/1/2/3',
+    tier: 'Tier 2'
+};
+
+// Discord's limits for the rendered parts
+const LIMITS = { title: 256, description: 4096, fieldName: 256, fieldValue: 1024, footer: 2048 };
+
+const TEMPLATE_KEYS = ['color', 'title', 'description', 'fields', 'footer', 'timestamp'];
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// Discord locales: "de", "pt-BR", "es-419"
+const isLocale = key => /^[a-z]{2,3}(-([A-Z]{2}|\d{3}))?$/.test(key);
+
+function validateText(value, label, errors) {
+    if (typeof value === 'string') return;
+    if (value && typeof value === 'object' && !Array.isArray(value)
+        && typeof value.other === 'string'
+        && Object.entries(value).every(([k, v]) => PLURAL_CATEGORIES.includes(k) && typeof v === 'string')) {
+        return;
+    }
+    errors.push(`${label} must be a string or a plural object with an "other" string (${PLURAL_CATEGORIES.join(', ')})`);
+}
+
+function validateFooter(footer, label, errors) {
+    if (footer === null) return;
+    if (!footer || typeof footer !== 'object' || Array.isArray(footer)) {
+        errors.push(`${label} must be an object with "text" and optional "iconURL", or null`);
+        return;
+    }
+    if (typeof footer.text !== 'string') errors.push(`${label}.text must be a string`);
+    if (footer.iconURL !== undefined && !(typeof footer.iconURL === 'string' && /^https?:\/\//.test(footer.iconURL))) {
+        errors.push(`${label}.iconURL must be an http(s) URL`);
+    }
+}
+
+function validateTemplate(template, label, errors) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+    for (const [key, value] of Object.entries(template)) {
+        if (!TEMPLATE_KEYS.includes(key)) {
+            errors.push(`${label}: unknown property "${key}" (use ${TEMPLATE_KEYS.join(', ')})`);
+        } else if (key === 'color') {
+            if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) errors.push(`${label}.color must be a hex color like #ff9900`);
+        } else if (key === 'title' || key === 'description') {
+            validateText(value, `${label}.${key}`, errors);
+        } else if (key === 'fields') {
+            if (!Array.isArray(value) || value.length > 25) {
+                errors.push(`${label}.fields must be an array of at most 25 fields`);
+                continue;
+            }
+            value.forEach((field, i) => {
+                if (!field || typeof field !== 'object' || Array.isArray(field)) {
+                    errors.push(`${label}.fields[${i}] must be an object with "name" and "value"`);
+                    return;
+                }
+                validateText(field.name, `${label}.fields[${i}].name`, errors);
+                validateText(field.value, `${label}.fields[${i}].value`, errors);
+                if (field.inline !== undefined && typeof field.inline !== 'boolean') errors.push(`${label}.fields[${i}].inline must be true or false`);
+            });
+        } else if (key === 'footer') {
+            validateFooter(value, `${label}.footer`, errors);
+        } else if (typeof value !== 'boolean') {
+            errors.push(`${label}.timestamp must be true or false`);
+        }
+    }
+}
+
+function validateTemplateSet(set, label, errors) {
+    if (!set || typeof set !== 'object' || Array.isArray(set)) {
+        errors.push(`${label} must be an object keyed by template name`);
+        return;
+    }
+    for (const [id, template] of Object.entries(set)) {
+        if (!DEFAULT_TEMPLATES[id]) {
+            errors.push(`${label}: unknown template "${id}"`);
+        } else {
+            validateTemplate(template, `${label}.${id}`, errors);
+        }
+    }
+}
+
+/**
+ * Check a message template setting and return the problems found, one string per problem.
+ *
+ * @param {object} settings
+ * @returns {string[]}
+ */
+function validateMessageTemplates(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ['message_templates must be an object'];
+    }
+
+    const errors = [];
+    for (const [key, value] of Object.entries(settings)) {
+        if (key === 'footer') {
+            validateFooter(value, 'footer', errors);
+        } else if (key === 'templates') {
+            validateTemplateSet(value, 'templates', errors);
+        } else if (key === 'locales') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push('locales must be an object keyed by locale');
+                continue;
+            }
+            for (const [locale, set] of Object.entries(value)) {
+                if (!isLocale(locale)) {
+                    errors.push(`locales: "${locale}" is not a locale like "de" or "pt-BR"`);
+                } else {
+                    validateTemplateSet(set, `locales.${locale}`, errors);
+                }
+            }
+        } else {
+            errors.push(`unknown key "${key}" (use footer, templates, locales)`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * The template for a locale: defaults, then `templates`, then the language and the
+ * exact locale variant.
+ *
+ * @param {object} settings  A valid message_templates setting
+ * @param {string} id
+ * @param {string|null} locale  e.g. the guild's preferredLocale
+ * @param {object|null} override  Applied last, e.g. a link rule's own message
+ * @returns {object}
+ */
+function resolveTemplate(settings, id, locale = null, override = null) {
+    const layers = [DEFAULT_TEMPLATES[id], settings.templates?.[id]];
+    if (locale) {
+        const language = locale.split('-')[0];
+        if (language !== locale) layers.push(settings.locales?.[language]?.[id]);
+        layers.push(settings.locales?.[locale]?.[id]);
+    }
+    layers.push(override);
+    return Object.assign({ footer: settings.footer || DEFAULT_FOOTER }, ...layers.filter(Boolean));
+}
+
+function fillText(text, values, locale, limit) {
+    let source = text;
+    if (source && typeof source === 'object') {
+        let category = 'other';
+        try {
+            category = new Intl.PluralRules(locale || 'en').select(Number(values.count) || 0);
+        } catch {
+            // Unknown locale tag, fall back to "other"
+        }
+        source = source[category] ?? source.other;
+    }
+    const filled = String(source ?? '').replace(/\{(\w+)\}/g, (match, name) => (
+        values[name] === undefined || values[name] === null ? match : String(values[name])
+    ));
+    return filled.length > limit ? `${filled.slice(0, limit - 3)}...` : filled;
+}
+
+/**
+ * Render a template to embed data (accepted by EmbedBuilder and the Discord API).
+ * Fields whose value renders empty are left out.
+ *
+ * @param {object} settings  A valid message_templates setting
+ * @param {string} id
+ * @param {object} values  Placeholder values
+ * @param {string|null} locale
+ * @param {object|null} override
+ * @returns {object}
+ */
+function renderTemplate(settings, id, values = {}, locale = null, override = null) {
+    const template = resolveTemplate(settings, id, locale, override);
+    const embed = { color: parseInt(template.color.slice(1), 16) };
+
+    if (template.title) embed.title = fillText(template.title, values, locale, LIMITS.title);
+    if (template.description) embed.description = fillText(template.description, values, locale, LIMITS.description);
+    const fields = (template.fields || [])
+        .map(field => ({
+            name: fillText(field.name, values, locale, LIMITS.fieldName),
+            value: fillText(field.value, values, locale, LIMITS.fieldValue),
+            ...(field.inline !== undefined ? { inline: field.inline } : {})
+        }))
+        .filter(field => field.name && field.value);
+    if (fields.length > 0) embed.fields = fields;
+    if (template.footer) {
+        embed.footer = {
+            text: fillText(template.footer.text, values, locale, LIMITS.footer),
+            ...(template.footer.iconURL ? { icon_url: template.footer.iconURL } : {})
+        };
+    }
+    if (template.timestamp) embed.timestamp = new Date().toISOString();
+    return embed;
+}
+
+class MessageTemplates {
+    constructor() {
+        this.settings = {};
+        this._settingsSource = null;
+    }
+
+    /**
+     * Re-read `message_templates` so dashboard changes apply without a restart.
+     */
+    _reloadSettings() {
+        const stored = getSetting('message_templates') || {};
+
+        const source = JSON.stringify(stored);
+        if (source === this._settingsSource) return;
+        this._settingsSource = source;
+
+        const errors = validateMessageTemplates(stored);
+        if (errors.length > 0) {
+            logWithTimestamp(`Invalid message templates, keeping previous templates: ${errors.join('; ')}`, 'ERROR');
+            return;
+        }
+
+        this.settings = stored;
+        logWithTimestamp(`Loaded message templates (${Object.keys(stored.templates || {}).length} override(s), locales: ${Object.keys(stored.locales || {}).join(', ') || 'none'})`, 'CONFIG');
+    }
+
+    /**
+     * Embed data for a template, ready for `{ embeds: [...] }`.
+     *
+     * @param {string} id  Key of DEFAULT_TEMPLATES
+     * @param {object} values  Placeholder values
+     * @param {import('discord.js').Guild|null} guild  Picks the locale variant and fills {guild}
+     * @param {object|null} override  Template properties that win over the settings
+     * @returns {object}
+     */
+    render(id, values = {}, guild = null, override = null) {
+        this._reloadSettings();
+        return renderTemplate(this.settings, id, { guild: guild?.name, ...values }, guild?.preferredLocale || null, override);
+    }
+
+    /**
+     * The configured footer for embeds that are not built from a template.
+     *
+     * @param {import('discord.js').Guild|null} guild  Fills {guild}
+     * @returns {{text: string, iconURL?: string}}  Accepted by EmbedBuilder.setFooter()
+     */
+    footer(guild = null) {
+        this._reloadSettings();
+        const footer = this.settings.footer || DEFAULT_FOOTER;
+        return {
+            text: fillText(footer.text, { guild: guild?.name }, guild?.preferredLocale || null, LIMITS.footer),
+            ...(footer.iconURL ? { iconURL: footer.iconURL } : {})
+        };
+    }
+}
+
+module.exports = {
+    MessageTemplates,
+    DEFAULT_TEMPLATES,
+    TEMPLATE_PLACEHOLDERS,
+    SAMPLE_VALUES,
+    validateMessageTemplates,
+    renderTemplate,
+    isLocale
+};
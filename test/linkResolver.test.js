@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Shared database in a throwaway directory; must be set before voting/db is loaded
+const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contentor-test-'));
+process.env.VOTING_DB_PATH = path.join(dbDir, 'test.db');
+
+const { initDb } = require('../voting/db');
+const { LinkResolver, fetchRedirect } = require('../linkResolver');
+
+// Local stand-in for a shortener: /hop/<n> redirects to /hop/<n-1>, /hop/0 to an article
+// on another host, /slow never answers
+function startStubServer() {
+    const server = http.createServer((req, res) => {
+        const hop = req.url.match(/^\/hop\/(\d+)$/);
+        if (hop) {
+            const remaining = Number(hop[1]);
+            res.writeHead(301, { location: remaining > 0 ? `/hop/${remaining - 1}` : 'https://example.com/article?utm_source=short' });
+            res.end();
+        } else if (req.url === '/plain') {
+            res.writeHead(200);
+            res.end('no redirect');
+        } else if (req.url !== '/slow') {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+let server;
+let base;
+
+test.before(async () => {
+    await initDb();
+    server = await startStubServer();
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dbDir, { recursive: true, force: true });
+});
+
+// Resolver that treats the stub server as a shortener and records every request
+function createResolver(options = {}) {
+    const requests = [];
+    const resolver = new LinkResolver({
+        hosts: ['127.0.0.1'],
+        maxRedirects: 5,
+        timeoutMs: 2000,
+        enabled: true,
+        httpClient: (url, requestOptions) => {
+            requests.push(new URL(url).pathname);
+            return fetchRedirect(url, requestOptions);
+        },
+        ...options
+    });
+    resolver.init();
+    return { resolver, requests };
+}
+
+test('linkResolver: follows a redirect chain to the first non-shortener URL', async () => {
+    const { resolver, requests } = createResolver();
+    const url = `${base}/hop/2`;
+
+    assert.strictEqual(await resolver.resolve(url), 'https://example.com/article?utm_source=short');
+    assert.deepStrictEqual(requests, ['/hop/2', '/hop/1', '/hop/0']);
+    assert.strictEqual(resolver.getCached(url), 'https://example.com/article?utm_source=short');
+
+    // Served from the cache without another request
+    assert.strictEqual(await resolver.resolve(url), 'https://example.com/article?utm_source=short');
+    assert.strictEqual(requests.length, 3);
+});
+
+test('linkResolver: stops at the redirect limit and keeps the short link', async () => {
+    const { resolver, requests } = createResolver({ maxRedirects: 2 });
+    const url = `${base}/hop/4`;
+
+    assert.strictEqual(await resolver.resolve(url), url);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(resolver.getCached(url), null);
+});
+
+test('linkResolver: gives up on a server that does not answer in time', async () => {
+    const { resolver } = createResolver({ timeoutMs: 200 });
+    const url = `${base}/slow`;
+
+    const started = Date.now();
+    assert.strictEqual(await resolver.resolve(url), url);
+    assert.ok(Date.now() - started < 2000, 'resolve() should return soon after the timeout');
+    assert.strictEqual(resolver.getCached(url), null);
+});
+
+test('linkResolver: a response without a redirect leaves the URL unchanged', async () => {
+    const { resolver } = createResolver();
+    const url = `${base}/plain`;
+
+    assert.strictEqual(await resolver.resolve(url), url);
+    assert.strictEqual(resolver.getCached(url), null);
+});
+
+test('linkResolver: URLs on other hosts are not requested', async () => {
+    const { resolver, requests } = createResolver();
+
+    assert.strictEqual(await resolver.resolve('https://example.com/page'), 'https://example.com/page');
+    assert.strictEqual(requests.length, 0);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractUrls } = require('../urlExtractor');
+const fixtures = require('./fixtures/urlExtractor.json');
+
+// Fixture messages list forwarded snapshots as an array; discord.js hands them over as a Collection
+function toMessage({ content = '', embeds = [], snapshots }) {
+    return {
+        content,
+        embeds,
+        messageSnapshots: snapshots ? new Map(snapshots.map((snapshot, i) => [String(i), { message: snapshot }])) : undefined
+    };
+}
+
+for (const fixture of fixtures) {
+    test(`extractUrls: ${fixture.name}`, () => {
+        assert.deepStrictEqual(extractUrls(toMessage(fixture.message)), fixture.expected);
+    });
+}
@@ -0,0 +1,122 @@
+// Role tiers for thread routing. A forum's tiers are an ordered list, lowest first:
+//   { name?, roleIds: ['<role id>', ...], threadIds: ['<thread id>', ...] }
+// A member belongs to the highest tier whose roles they hold and may post in any of
+// that tier's threads. Several roles can share a tier, several tiers can share a thread,
+// and a tier can allow several threads. `{ roleId, threadId }` is accepted as shorthand.
+
+function isId(value) {
+    return typeof value === 'string' && /^\d+$/.test(value);
+}
+
+function splitIds(value) {
+    return value ? value.split(',').map(id => id.trim()).filter(Boolean) : [];
+}
+
+function toIdList(list, single) {
+    if (list !== undefined) return list;
+    return single !== undefined ? [single] : [];
+}
+
+/**
+ * Check a tier list and return the problems found, one string per problem.
+ *
+ * @param {Array<object>} tiers
+ * @param {string} label  Prefix for the messages, e.g. the forum name
+ * @returns {string[]}
+ */
+function validateTiers(tiers, label = 'tiers') {
+    if (!Array.isArray(tiers)) return [`${label} must be an array`];
+
+    const errors = [];
+    tiers.forEach((tier, i) => {
+        // Counted from 0 like ROLE_<n>_ID
+        const tierLabel = `${label}: tier ${i}${tier && tier.name ? ` (${tier.name})` : ''}`;
+        if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+            errors.push(`${tierLabel} must be an object`);
+            return;
+        }
+
+        const roleIds = toIdList(tier.roleIds, tier.roleId);
+        const threadIds = toIdList(tier.threadIds, tier.threadId);
+        if (!Array.isArray(roleIds) || roleIds.length === 0 || !roleIds.every(isId)) {
+            errors.push(`${tierLabel} needs at least one role ID (roleIds)`);
+        }
+        if (!Array.isArray(threadIds) || threadIds.length === 0 || !threadIds.every(isId)) {
+            errors.push(`${tierLabel} needs at least one thread ID (threadIds)`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Bring a validated tier list to the `{ name, roleIds, threadIds }` form.
+ *
+ * @param {Array<object>} tiers
+ * @returns {Array<{name: string, roleIds: string[], threadIds: string[]}>}
+ */
+function normalizeTiers(tiers) {
+    return tiers.map((tier, i) => ({
+        name: tier.name || `Tier ${i}`,
+        roleIds: [...new Set(toIdList(tier.roleIds, tier.roleId))],
+        threadIds: [...new Set(toIdList(tier.threadIds, tier.threadId))]
+    }));
+}
+
+/**
+ * Tiers from ROLE_<n>_ID / THREAD_<n>_ID, counting up from 0 until neither is set.
+ * Each variable may hold a comma-separated list of IDs.
+ *
+ * @returns {Array<{roleIds: string[], threadIds: string[]}>}
+ */
+function tiersFromEnv() {
+    const tiers = [];
+    for (let i = 0; process.env[`ROLE_${i}_ID`] || process.env[`THREAD_${i}_ID`]; i++) {
+        tiers.push({
+            roleIds: splitIds(process.env[`ROLE_${i}_ID`]),
+            threadIds: splitIds(process.env[`THREAD_${i}_ID`])
+        });
+    }
+    return tiers;
+}
+
+/**
+ * The highest tier whose roles the member holds.
+ *
+ * @param {Array<object>} tiers  Normalized tiers
+ * @param {import('discord.js').Collection} memberRoles
+ * @returns {{name: string, roleIds: string[], threadIds: string[]}|null}
+ */
+function findHighestTier(tiers, memberRoles) {
+    for (let i = tiers.length - 1; i >= 0; i--) {
+        if (tiers[i].roleIds.some(roleId => memberRoles.has(roleId))) {
+            return tiers[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a member may post in a thread: the thread belongs to their highest tier.
+ */
+function isThreadAllowed(tiers, memberRoles, threadId) {
+    const tier = findHighestTier(tiers, memberRoles);
+    return tier !== null && tier.threadIds.includes(threadId);
+}
+
+function getTierThreadIds(tiers) {
+    return [...new Set(tiers.flatMap(tier => tier.threadIds))];
+}
+
+function getTierRoleIds(tiers) {
+    return [...new Set(tiers.flatMap(tier => tier.roleIds))];
+}
+
+module.exports = {
+    validateTiers,
+    normalizeTiers,
+    tiersFromEnv,
+    findHighestTier,
+    isThreadAllowed,
+    getTierThreadIds,
+    getTierRoleIds
+};
@@ -0,0 +1,218 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { logWithTimestamp } = require('./utils');
+
+// Compressed archive of URL records removed by the retention policy.
+// Each retention run appends one gzip member holding JSON lines; concatenated
+// gzip members form a valid gzip stream, so the file stays readable with zcat.
+//
+// The archive is append-only. Moderator releases and message deletions that hit
+// archived records are appended as amendment lines, applied in order when the
+// index is built:
+//   { "amend": "release", "canonicalUrl", "userId"?, "messageId"? }  records no longer count
+//   { "amend": "delete", "messageIds": [...], "deletedAt" }          records are marked deleted
+
+class UrlArchive {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.index = null;      // canonicalUrl -> records
+        this.byMessage = null;  // messageId -> records
+        this.indexSize = -1;    // file size the index was built from
+        this.loading = null;    // index build in progress
+    }
+
+    // Append JSON lines as one gzip member, keeping a current index in step
+    async _write(entries) {
+        const data = zlib.gzipSync(entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        const sizeBefore = this.indexSize;
+        await fs.appendFile(this.filePath, data);
+
+        // Apply in memory unless the index was already stale; it is then rebuilt on the next lookup
+        if (this.index && !this.loading && this.indexSize === sizeBefore) {
+            entries.forEach(entry => this._apply(entry));
+            this.indexSize += data.length;
+        }
+    }
+
+    /**
+     * Append records to the archive.
+     *
+     * @param {object[]} records  URL records (UrlStorage record shape) with an `archiveReason`
+     */
+    async append(records) {
+        if (records.length === 0) return;
+
+        const archivedAt = Date.now();
+        await this._write(records.map(record => ({ ...record, archivedAt })));
+        logWithTimestamp(`Archived ${records.length} URL records to ${this.filePath}`, 'INFO');
+    }
+
+    // Add a record to the index or apply an amendment to it
+    _apply(entry) {
+        if (entry.amend === 'release') {
+            const remaining = [];
+            for (const record of this.index.get(entry.canonicalUrl) || []) {
+                if ((!entry.userId || record.userId === entry.userId) && (!entry.messageId || record.messageId === entry.messageId)) {
+                    record.released = true;
+                } else {
+                    remaining.push(record);
+                }
+            }
+            if (remaining.length > 0) {
+                this.index.set(entry.canonicalUrl, remaining);
+            } else {
+                this.index.delete(entry.canonicalUrl);
+            }
+        } else if (entry.amend === 'delete') {
+            for (const messageId of entry.messageIds) {
+                for (const record of this.byMessage.get(messageId) || []) {
+                    if (record.released || record.status === 'deleted') continue;
+                    record.status = 'deleted';
+                    record.deletedAt = entry.deletedAt;
+                }
+            }
+        } else {
+            if (!this.index.has(entry.canonicalUrl)) this.index.set(entry.canonicalUrl, []);
+            this.index.get(entry.canonicalUrl).push(entry);
+            if (entry.messageId) {
+                if (!this.byMessage.has(entry.messageId)) this.byMessage.set(entry.messageId, []);
+                this.byMessage.get(entry.messageId).push(entry);
+            }
+        }
+    }
+
+    // (Re)build the lookup index when the file changed since it was last read
+    async _loadIndex() {
+        let stat;
+        try {
+            stat = await fs.stat(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.index = new Map();
+                this.byMessage = new Map();
+                this.indexSize = 0;
+                return this.index;
+            }
+            throw error;
+        }
+
+        if (this.index && stat.size === this.indexSize) return this.index;
+
+        // Lookups that arrive during a rebuild wait for it instead of starting another
+        if (!this.loading) {
+            this.loading = this._buildIndex(stat.size).finally(() => {
+                this.loading = null;
+            });
+        }
+        await this.loading;
+        return this.index;
+    }
+
+    // Stream the archive line by line so a large file never blocks the event loop
+    async _buildIndex(size) {
+        this.index = new Map();
+        this.byMessage = new Map();
+        if (size === 0) {
+            this.indexSize = 0;
+            return;
+        }
+
+        const gunzip = zlib.createGunzip();
+        const file = createReadStream(this.filePath, { start: 0, end: Math.max(size - 1, 0) });
+        file.on('error', error => gunzip.destroy(error));
+        const lines = readline.createInterface({ input: file.pipe(gunzip), crlfDelay: Infinity });
+
+        this.indexSize = -1;
+        try {
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch {
+                    logWithTimestamp(`Skipping unreadable line in URL archive ${this.filePath}`, 'WARN');
+                    continue;
+                }
+                this._apply(entry);
+            }
+        } catch (error) {
+            this.index = null;
+            this.byMessage = null;
+            throw error;
+        }
+
+        this.indexSize = size;
+        logWithTimestamp(`Loaded URL archive index: ${this.index.size} canonical URLs`, 'INFO');
+    }
+
+    /**
+     * Find the archived record for a canonical URL, using the same filter and ordering
+     * as UrlStorage.findUrlHistory() (non-deleted first, then oldest).
+     *
+     * @param {string} canonicalUrl
+     * @param {{threadId?: string, forumChannelId?: string, userId?: string, since?: number}} filter
+     * @returns {Promise<object|null>}
+     */
+    async find(canonicalUrl, filter = {}) {
+        try {
+            const index = await this._loadIndex();
+            const matches = (index.get(canonicalUrl) || []).filter(record =>
+                (!filter.threadId || record.threadId === filter.threadId) &&
+                (!filter.forumChannelId || record.forumChannelId === filter.forumChannelId) &&
+                (!filter.userId || record.userId === filter.userId) &&
+                (!filter.since || record.timestamp >= filter.since)
+            );
+            if (matches.length === 0) return null;
+
+            matches.sort((a, b) =>
+                (a.status === 'deleted') - (b.status === 'deleted') || a.timestamp - b.timestamp
+            );
+            return { ...matches[0], archived: true };
+        } catch (error) {
+            logWithTimestamp(`Error reading URL archive: ${error.message}`, 'ERROR');
+            return null;
+        }
+    }
+
+    /**
+     * Stop archived records of a URL (optionally only one poster's or one message's)
+     * from counting as earlier posts.
+     *
+     * @param {string} canonicalUrl
+     * @param {{userId?: string, messageId?: string}} [filter]
+     * @returns {Promise<number>} number of archived records released
+     */
+    async release(canonicalUrl, { userId = null, messageId = null } = {}) {
+        const index = await this._loadIndex();
+        const released = (index.get(canonicalUrl) || []).filter(record =>
+            (!userId || record.userId === userId) && (!messageId || record.messageId === messageId)
+        ).length;
+        if (released === 0) return 0;
+
+        await this._write([{ amend: 'release', canonicalUrl, userId, messageId }]);
+        return released;
+    }
+
+    /**
+     * Mark archived records of deleted messages as deleted.
+     *
+     * @param {string[]} messageIds
+     * @param {number} deletedAt
+     * @returns {Promise<number>} number of archived records marked
+     */
+    async markMessagesDeleted(messageIds, deletedAt) {
+        await this._loadIndex();
+        const pending = messageId => (this.byMessage.get(messageId) || [])
+            .filter(record => !record.released && record.status !== 'deleted');
+        const matched = messageIds.filter(messageId => pending(messageId).length > 0);
+        if (matched.length === 0) return 0;
+
+        const marked = matched.reduce((count, messageId) => count + pending(messageId).length, 0);
+        await this._write([{ amend: 'delete', messageIds: matched, deletedAt }]);
+        return marked;
+    }
+}
+
+module.exports = UrlArchive;
@@ -0,0 +1,208 @@
+// Canonical URL keys used for duplicate detection.
+// Two links that point at the same piece of content should produce the same key,
+// regardless of tracking parameters, mobile/www prefixes, fragments or mirror domains.
+
+// Query parameters that never identify content
+const TRACKING_PARAMS = new Set([
+    'fbclid', 'gclid', 'dclid', 'msclkid', 'igshid', 'mc_cid', 'mc_eid',
+    'ref_src', 'ref_url', 'si', 'feature', 'trackingid', '_hsenc', '_hsmi'
+]);
+const TRACKING_PREFIXES = ['utm_'];
+
+// Host prefixes that serve the same content as the bare domain
+const HOST_PREFIXES = ['www.', 'm.', 'mobile.', 'amp.'];
+
+const TWITTER_HOSTS = new Set([
+    'twitter.com', 'x.com', 'fxtwitter.com', 'vxtwitter.com', 'fixupx.com', 'fixvx.com', 'nitter.net'
+]);
+const YOUTUBE_HOSTS = new Set(['youtube.com', 'youtu.be', 'music.youtube.com', 'youtube-nocookie.com']);
+
+function stripHostPrefixes(host) {
+    let stripped = host.toLowerCase();
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const prefix of HOST_PREFIXES) {
+            if (stripped.startsWith(prefix) && stripped.split('.').length > 2) {
+                stripped = stripped.slice(prefix.length);
+                changed = true;
+            }
+        }
+    }
+    return stripped;
+}
+
+function isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+function trimTrailingSlash(pathname) {
+    return pathname.length > 1 ? pathname.replace(/\/+$/, '') : '';
+}
+
+function pathSegments(pathname) {
+    return pathname.split('/').filter(Boolean);
+}
+
+// ── Platform rules ─────────────────────────────────────────────────────────────
+// Each rule receives the parsed URL with a normalized host and returns a key, or
+// null to fall through to the generic rule.
+
+function canonicalTwitter(parsed, host) {
+    if (!TWITTER_HOSTS.has(host)) return null;
+    const segments = pathSegments(parsed.pathname);
+
+    // /<user>/status/<id>[/photo/1], /i/web/status/<id>, /i/status/<id>
+    const statusIndex = segments.findIndex(s => s === 'status' || s === 'statuses');
+    if (statusIndex !== -1 && /^\d+$/.test(segments[statusIndex + 1] || '')) {
+        return `x.com/i/status/${segments[statusIndex + 1]}`;
+    }
+
+    // Profiles and other pages - usernames are case-insensitive
+    return `x.com/${segments.join('/').toLowerCase()}`.replace(/\/$/, '');
+}
+
+function canonicalYouTube(parsed, host) {
+    if (!YOUTUBE_HOSTS.has(host)) return null;
+    const segments = pathSegments(parsed.pathname);
+    let videoId = null;
+
+    if (host === 'youtu.be') {
+        videoId = segments[0] || null;
+    } else if (segments[0] === 'watch') {
+        videoId = parsed.searchParams.get('v');
+    } else if (['shorts', 'embed', 'live', 'v', 'e'].includes(segments[0])) {
+        videoId = segments[1] || null;
+    }
+
+    if (videoId && /^[A-Za-z0-9_-]{6,}$/.test(videoId)) {
+        return `youtube.com/watch?v=${videoId}`;
+    }
+
+    // Channels and playlists keep their identifying parameter only
+    const list = parsed.searchParams.get('list');
+    if (segments[0] === 'playlist' && list) {
+        return `youtube.com/playlist?list=${list}`;
+    }
+    return `youtube.com${trimTrailingSlash(parsed.pathname)}`;
+}
+
+function canonicalMedium(parsed, host) {
+    if (host !== 'medium.com' && !host.endsWith('.medium.com')) return null;
+    const segments = pathSegments(parsed.pathname);
+    const last = segments[segments.length - 1] || '';
+
+    // Story URLs end with a hex post ID: /@user/my-title-1a2b3c4d5e6f or /p/1a2b3c4d5e6f
+    const idMatch = last.match(/(?:^|-)([0-9a-f]{8,16})$/);
+    if (idMatch) {
+        return `medium.com/p/${idMatch[1]}`;
+    }
+    return `${host}/${segments.join('/')}`.replace(/\/$/, '');
+}
+
+function canonicalMirror(parsed, host) {
+    if (host !== 'mirror.xyz' && !host.endsWith('.mirror.xyz')) return null;
+    const segments = pathSegments(parsed.pathname);
+
+    // mirror.xyz/<address-or-ens>/<digest> and <name>.mirror.xyz/<digest>
+    const digest = host === 'mirror.xyz' ? segments[1] : segments[0];
+    if (digest && /^[A-Za-z0-9_-]{20,}$/.test(digest)) {
+        return `mirror.xyz/${digest}`;
+    }
+    return `${host}/${segments.join('/').toLowerCase()}`.replace(/\/$/, '');
+}
+
+function canonicalSubstack(parsed, host) {
+    if (!host.endsWith('.substack.com')) return null;
+    const segments = pathSegments(parsed.pathname);
+
+    if (segments[0] === 'p' && segments[1]) {
+        return `${host}/p/${segments[1].toLowerCase()}`;
+    }
+    return `${host}/${segments.join('/')}`.replace(/\/$/, '');
+}
+
+function canonicalLinkedIn(parsed, host) {
+    if (host !== 'linkedin.com' && !host.endsWith('.linkedin.com')) return null;
+    let pathname = parsed.pathname;
+    try {
+        pathname = decodeURIComponent(pathname);
+    } catch {
+        // Keep the encoded form for malformed escapes
+    }
+    const segments = pathSegments(pathname);
+
+    // /posts/<user>_<slug>-activity-<id>-<hash>
+    if (segments[0] === 'posts' && segments[1]) {
+        const activity = segments[1].match(/activity-(\d+)/);
+        if (activity) return `linkedin.com/feed/update/urn:li:activity:${activity[1]}`;
+    }
+
+    // /feed/update/urn:li:activity:<id> (also urn:li:share / urn:li:ugcPost)
+    if (segments[0] === 'feed' && segments[1] === 'update' && segments[2]) {
+        return `linkedin.com/feed/update/${segments[2]}`;
+    }
+
+    // Pulse articles, profiles and company pages are case-insensitive slugs
+    return `linkedin.com/${segments.join('/').toLowerCase()}`.replace(/\/$/, '');
+}
+
+const PLATFORM_RULES = [
+    canonicalTwitter,
+    canonicalYouTube,
+    canonicalMedium,
+    canonicalMirror,
+    canonicalSubstack,
+    canonicalLinkedIn
+];
+
+function canonicalGeneric(parsed, host) {
+    const params = [...parsed.searchParams.entries()]
+        .filter(([name]) => !isTrackingParam(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+
+    const query = params.length > 0
+        ? '?' + params.map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join('&')
+        : '';
+
+    return `${host}${trimTrailingSlash(parsed.pathname)}${query}`;
+}
+
+/**
+ * Build the canonical key for a URL. The key has no scheme, no fragment and no
+ * tracking parameters, and is what duplicate lookups compare against.
+ * Unparseable input falls back to the trimmed, lowercased string.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function canonicalizeUrl(url) {
+    if (typeof url !== 'string') return '';
+    const trimmed = url.trim();
+    if (!trimmed) return '';
+
+    let parsed;
+    try {
+        parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch {
+        return trimmed.toLowerCase();
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return trimmed.toLowerCase();
+    }
+
+    const host = stripHostPrefixes(parsed.hostname);
+
+    for (const rule of PLATFORM_RULES) {
+        const key = rule(parsed, host);
+        if (key) return key;
+    }
+
+    return canonicalGeneric(parsed, host);
+}
+
+module.exports = {
+    canonicalizeUrl
+};
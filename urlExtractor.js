@@ -0,0 +1,113 @@
+const { canonicalizeUrl } = require('./urlCanonicalizer');
+
+// URL extraction for Discord messages. Used by the live message path, channel sync
+// and /fetch links so all of them see the same set of links for a message.
+//
+// Handled forms:
+//   https://example.com          plain links
+//   <https://example.com>        links with the preview suppressed
+//   [text](https://example.com)  masked markdown links (also [text](<https://...>))
+// Ignored: anything inside ```code blocks```, `inline code` and ||spoilers||.
+
+const CODE_BLOCK_REGEX = /```[\s\S]*?```/g;
+const INLINE_CODE_REGEX = /`[^`\n]+`/g;
+const SPOILER_REGEX = /\|\|[\s\S]*?\|\|/g;
+const MASKED_LINK_REGEX = /\[[^\]\n]*\]\(\s*<?(https?:\/\/[^\s<>()]+(?:\([^\s<>()]*\)[^\s<>()]*)*)>?\s*\)/gi;
+const SUPPRESSED_LINK_REGEX = /<(https?:\/\/[^\s<>]+)>/gi;
+// A comma directly followed by another scheme separates two links (https://a.com/x,https://b.com/y)
+const RAW_LINK_REGEX = /https?:\/\/(?:(?!,https?:\/\/)[^\s<>"'`|\]])+/gi;
+
+const TRAILING_PUNCTUATION = /[.,;:!?'"*_~]+$/;
+
+// Drop punctuation that ends the sentence rather than the URL, keeping balanced
+// parentheses such as https://en.wikipedia.org/wiki/Foo_(bar)
+function trimTrailing(url) {
+    let trimmed = url.replace(TRAILING_PUNCTUATION, '');
+    while (trimmed.endsWith(')')) {
+        const opens = (trimmed.match(/\(/g) || []).length;
+        const closes = (trimmed.match(/\)/g) || []).length;
+        if (closes <= opens) break;
+        trimmed = trimmed.slice(0, -1).replace(TRAILING_PUNCTUATION, '');
+    }
+    return trimmed;
+}
+
+/**
+ * Extract URLs from message text, in order of appearance.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractUrlsFromText(text) {
+    if (!text) return [];
+
+    let remaining = text
+        .replace(CODE_BLOCK_REGEX, ' ')
+        .replace(INLINE_CODE_REGEX, ' ')
+        .replace(SPOILER_REGEX, ' ');
+
+    const found = [];
+    const collect = regex => {
+        remaining = remaining.replace(regex, (match, url, offset) => {
+            found.push({ url: trimTrailing(url), offset });
+            // Keep offsets stable for the remaining passes
+            return ' '.repeat(match.length);
+        });
+    };
+
+    collect(MASKED_LINK_REGEX);
+    collect(SUPPRESSED_LINK_REGEX);
+    collect(new RegExp(`(${RAW_LINK_REGEX.source})`, 'gi'));
+
+    return found
+        .sort((a, b) => a.offset - b.offset)
+        .map(entry => entry.url)
+        .filter(url => /^https?:\/\/[^/\s]+\.[^/\s]+/i.test(url));
+}
+
+function extractFromEmbeds(embeds) {
+    const urls = [];
+    for (const embed of embeds || []) {
+        if (embed.url) urls.push(embed.url);
+        urls.push(...extractUrlsFromText(embed.description));
+    }
+    return urls;
+}
+
+/**
+ * Extract every URL a message carries, with where it came from.
+ * Duplicates (by canonical key) are reported once, with the first source seen:
+ * content, then embeds, then forwarded message snapshots.
+ *
+ * @param {import('discord.js').Message} message
+ * @returns {Array<{url: string, source: 'content'|'embed'|'forward'}>}
+ */
+function extractUrls(message) {
+    const results = [];
+    const seen = new Set();
+    const add = (url, source) => {
+        const key = canonicalizeUrl(url);
+        if (!key || seen.has(key)) return;
+        seen.add(key);
+        results.push({ url, source });
+    };
+
+    extractUrlsFromText(message.content).forEach(url => add(url, 'content'));
+    extractFromEmbeds(message.embeds).forEach(url => add(url, 'embed'));
+
+    // Forwarded messages carry their content in message snapshots
+    if (message.messageSnapshots) {
+        for (const snapshot of message.messageSnapshots.values()) {
+            const forwarded = snapshot.message || snapshot;
+            extractUrlsFromText(forwarded.content).forEach(url => add(url, 'forward'));
+            extractFromEmbeds(forwarded.embeds).forEach(url => add(url, 'forward'));
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    extractUrls,
+    extractUrlsFromText
+};
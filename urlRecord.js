@@ -0,0 +1,74 @@
+// Shape of a tracked URL record. Every code path that stores URLs (live messages,
+// channel sync and /fetch links) builds its records here so the fields stay consistent.
+//
+// Version history:
+//   1 - legacy records: author tag, mixed userId/authorId, channelId or threadId
+//   2 - userId and threadId always set; threadId is the channel the message was posted in
+
+const URL_RECORD_VERSION = 2;
+
+/**
+ * Build a URL record for a URL found in a Discord message.
+ *
+ * @param {import('discord.js').Message} message
+ * @param {string} url
+ * @returns {object}
+ */
+function buildUrlRecord(message, url) {
+    const channel = message.channel;
+    const guildId = message.guild?.id || message.guildId || null;
+
+    return {
+        schemaVersion: URL_RECORD_VERSION,
+        url,
+        userId: message.author.id,
+        author: message.author.tag,
+        guildId,
+        threadId: channel.id,
+        threadName: channel.name || null,
+        forumChannelId: channel.isThread?.() ? channel.parentId || channel.parent?.id || null : null,
+        messageId: message.id,
+        messageUrl: `https://discord.com/channels/${guildId}/${channel.id}/${message.id}`,
+        timestamp: message.createdTimestamp
+    };
+}
+
+/**
+ * Normalize a record of any version to the current field names.
+ * Legacy `authorId` becomes `userId` and a missing `threadId` falls back to `channelId`.
+ *
+ * @param {object} entry
+ * @returns {object}
+ */
+function normalizeUrlRecord(entry) {
+    const ids = parseMessageUrl(entry.messageUrl);
+    return {
+        ...entry,
+        schemaVersion: URL_RECORD_VERSION,
+        url: entry.url.trim(),
+        userId: entry.userId || entry.authorId || null,
+        threadId: entry.threadId || ids?.threadId || entry.channelId || null,
+        guildId: entry.guildId || ids?.guildId || null,
+        messageId: entry.messageId || ids?.messageId || null
+    };
+}
+
+/**
+ * Extract guild, thread and message IDs from a Discord message link.
+ *
+ * @param {string} messageUrl
+ * @returns {{guildId: string, threadId: string, messageId: string}|null}
+ */
+function parseMessageUrl(messageUrl) {
+    const match = typeof messageUrl === 'string'
+        && messageUrl.match(/discord(?:app)?\.com\/channels\/(\d+)\/(\d+)\/(\d+)/);
+    if (!match) return null;
+    return { guildId: match[1], threadId: match[2], messageId: match[3] };
+}
+
+module.exports = {
+    URL_RECORD_VERSION,
+    buildUrlRecord,
+    normalizeUrlRecord,
+    parseMessageUrl
+};
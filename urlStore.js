@@ -1,123 +1,378 @@
 const fs = require('fs/promises');
 const path = require('path');
 const { logWithTimestamp } = require('./utils');
+const { canonicalizeUrl } = require('./urlCanonicalizer');
+const { URL_RECORD_VERSION, normalizeUrlRecord } = require('./urlRecord');
+const { getDb } = require('./voting/db');
+const UrlArchive = require('./urlArchive');
+const { LinkResolver } = require('./linkResolver');
+const { URL_ARCHIVE_PATH, URL_ARCHIVE_LOOKUP } = require('./config');
+
+const URL_SCHEMA = `
+CREATE TABLE IF NOT EXISTS urls (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  url               TEXT NOT NULL,
+  canonical_url     TEXT NOT NULL,
+  channel_id        TEXT NOT NULL,
+  thread_id         TEXT,
+  thread_name       TEXT,
+  forum_channel_id  TEXT,
+  guild_id          TEXT,
+  message_id        TEXT,
+  message_url       TEXT,
+  author_id         TEXT,
+  author_name       TEXT,
+  posted_at         INTEGER NOT NULL,
+  created_at        INTEGER NOT NULL,
+  status            TEXT NOT NULL DEFAULT 'active',
+  deleted_at        INTEGER,
+  schema_version    INTEGER NOT NULL DEFAULT 1,
+  UNIQUE(message_id, canonical_url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_urls_canonical ON urls(canonical_url, posted_at);
+CREATE INDEX IF NOT EXISTS idx_urls_channel   ON urls(channel_id);
+CREATE INDEX IF NOT EXISTS idx_urls_thread    ON urls(thread_id);
+CREATE INDEX IF NOT EXISTS idx_urls_author    ON urls(author_id);
+CREATE INDEX IF NOT EXISTS idx_urls_message   ON urls(message_id);
+
+-- One-time repost permissions granted by moderators
+CREATE TABLE IF NOT EXISTS url_exemptions (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  canonical_url     TEXT NOT NULL,
+  user_id           TEXT NOT NULL,
+  granted_by        TEXT,
+  created_at        INTEGER NOT NULL,
+  used_at           INTEGER,
+  used_message_id   TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_url_exemptions_lookup ON url_exemptions(canonical_url, user_id);
+`;
+
+const LEGACY_FILE_PATTERN = /^URL_DB_\d+\.json$/;
+
+// Active records are the "original" for duplicate checks; deleted ones only when nothing active remains
+const HISTORY_ORDER = "ORDER BY (status = 'deleted') ASC, posted_at ASC";
 
 class UrlStorage {
-    constructor() {
-        this.urls = new Map();
-        this.storageFile = '';
+    constructor(linkResolver = new LinkResolver()) {
+        this.db = null;
         this.isInitialized = false;
+        this.archive = new UrlArchive(URL_ARCHIVE_PATH);
+        this.linkResolver = linkResolver;
     }
 
     async init() {
         try {
-            const mainChannelId = process.env.MAIN_CHANNEL_ID;
-            if (!mainChannelId) {
-                throw new Error('MAIN_CHANNEL_ID environment variable is not set');
-            }
+            this.db = getDb();
+            this.db.exec(URL_SCHEMA);
+            this._ensureColumns();
+            this.linkResolver.init();
 
-            this.storageFile = path.join(__dirname, `URL_DB_${mainChannelId}.json`);
-            
-            const data = await fs.readFile(this.storageFile, 'utf8').catch(() => '{}');
-            const urlData = JSON.parse(data);
-            
-            for (const [channelId, urls] of Object.entries(urlData)) {
-                this.urls.set(channelId, urls);
-            }
-            
             this.isInitialized = true;
+            await this.importJsonFiles();
+            await this.migrateRecords();
+            await this.rekeyUrls();
             logWithTimestamp('URL storage initialized', 'STARTUP');
         } catch (error) {
             logWithTimestamp(`Error initializing URL storage: ${error.message}`, 'ERROR');
-            this.urls = new Map();
+            this.db = null;
             this.isInitialized = false;
             throw error;
         }
     }
 
-    // Helper method to check for duplicates across all channels
-    isDuplicateUrl(url) {
-        for (const urls of this.urls.values()) {
-            if (urls.some(entry => entry.url.trim() === url.trim())) {
-                return true;
+    // Add columns introduced after the table was first created
+    _ensureColumns() {
+        const columns = new Set(this.db.prepare('PRAGMA table_info(urls)').all().map(col => col.name));
+        if (!columns.has('schema_version')) {
+            this.db.exec('ALTER TABLE urls ADD COLUMN schema_version INTEGER NOT NULL DEFAULT 1');
+        }
+    }
+
+    // One-shot importer for the legacy URL_DB_<id>.json files. Each imported file is
+    // renamed to *.imported so the import never runs twice for the same data.
+    async importJsonFiles() {
+        const dir = __dirname;
+        const files = (await fs.readdir(dir)).filter(name => LEGACY_FILE_PATTERN.test(name));
+
+        for (const file of files) {
+            const filePath = path.join(dir, file);
+            try {
+                const urlData = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                let imported = 0;
+
+                const importTx = this.db.transaction(() => {
+                    for (const [channelId, urls] of Object.entries(urlData)) {
+                        if (!Array.isArray(urls)) continue;
+                        for (const entry of urls) {
+                            if (!entry || !entry.url) continue;
+                            imported += this._insert(channelId, entry);
+                        }
+                    }
+                });
+                importTx();
+
+                await fs.rename(filePath, `${filePath}.imported`);
+                logWithTimestamp(`Imported ${imported} URLs from ${file}`, 'STARTUP');
+            } catch (error) {
+                logWithTimestamp(`Failed to import ${file}: ${error.message}`, 'ERROR');
             }
         }
-        return false;
     }
 
-    async findUrlHistory(url) {
-    if (!this.isInitialized) {
-        logWithTimestamp('URL storage not initialized', 'ERROR');
-        return null;
+    // Bring records written by older versions up to URL_RECORD_VERSION: fill thread, guild
+    // and message IDs from the message link, and the author ID from the voting posts table
+    async migrateRecords() {
+        const rows = this.db.prepare('SELECT * FROM urls WHERE schema_version < ?').all(URL_RECORD_VERSION);
+        if (rows.length === 0) return 0;
+
+        const findPost = this.db.prepare('SELECT author_id, forum_channel_id FROM posts WHERE message_id = ?');
+        const update = this.db.prepare(`
+            UPDATE urls
+            SET thread_id = ?, guild_id = ?, message_id = ?, message_url = ?, author_id = ?,
+                forum_channel_id = ?, schema_version = ?
+            WHERE id = ?
+        `);
+        let missingAuthor = 0;
+
+        const migrateTx = this.db.transaction(() => {
+            for (const row of rows) {
+                const record = normalizeUrlRecord({
+                    url: row.url,
+                    userId: row.author_id,
+                    channelId: row.channel_id,
+                    threadId: row.thread_id,
+                    guildId: row.guild_id,
+                    messageId: row.message_id,
+                    messageUrl: row.message_url
+                });
+                const post = record.messageId ? findPost.get(record.messageId) : null;
+                const userId = record.userId || post?.author_id || null;
+                const forumChannelId = row.forum_channel_id || post?.forum_channel_id || null;
+                const messageUrl = row.message_url || (record.guildId && record.threadId && record.messageId
+                    ? `https://discord.com/channels/${record.guildId}/${record.threadId}/${record.messageId}`
+                    : null);
+
+                if (!userId) missingAuthor++;
+                update.run(
+                    record.threadId,
+                    record.guildId,
+                    record.messageId,
+                    messageUrl,
+                    userId,
+                    forumChannelId,
+                    URL_RECORD_VERSION,
+                    row.id
+                );
+            }
+        });
+        migrateTx();
+
+        logWithTimestamp(`Migrated ${rows.length} URL records to schema version ${URL_RECORD_VERSION}`, 'STARTUP');
+        if (missingAuthor > 0) {
+            logWithTimestamp(`${missingAuthor} migrated URL records have no author ID; they fall back to the author tag`, 'WARN');
+        }
+        return rows.length;
     }
 
-    const trimmedUrl = url.trim();
-    for (const [channelId, urls] of this.urls.entries()) {
-        const foundUrl = urls.find(entry => entry.url.trim() === trimmedUrl);
-        if (foundUrl) {
-            logWithTimestamp(`URL history found for: ${url} in channel ${channelId}`, 'INFO');
-            return {
-                ...foundUrl,
-                channelId
-            };
+    // Recompute canonical keys for every stored record so entries saved before
+    // canonicalization (or under older rules) are matched by duplicate lookups.
+    // A message that already has a row under the new key (the same link posted in two
+    // spellings) keeps that row; the stale one is merged into it and removed.
+    async rekeyUrls() {
+        const rows = this.db.prepare('SELECT id, url, canonical_url, message_id, posted_at FROM urls').all();
+        const update = this.db.prepare('UPDATE urls SET canonical_url = ? WHERE id = ?');
+        const findConflict = this.db.prepare('SELECT id FROM urls WHERE message_id = ? AND canonical_url = ? AND id != ?');
+        const mergeInto = this.db.prepare('UPDATE urls SET posted_at = MIN(posted_at, ?) WHERE id = ?');
+        const remove = this.db.prepare('DELETE FROM urls WHERE id = ?');
+        let rekeyed = 0;
+        let merged = 0;
+
+        const rekeyTx = this.db.transaction(() => {
+            for (const row of rows) {
+                const canonicalUrl = this.canonicalKey(row.url);
+                if (row.canonical_url === canonicalUrl) continue;
+
+                const conflict = row.message_id ? findConflict.get(row.message_id, canonicalUrl, row.id) : null;
+                if (conflict) {
+                    mergeInto.run(row.posted_at, conflict.id);
+                    merged += remove.run(row.id).changes;
+                } else {
+                    rekeyed += update.run(canonicalUrl, row.id).changes;
+                }
+            }
+        });
+        rekeyTx();
+
+        if (rekeyed > 0) {
+            logWithTimestamp(`Re-keyed ${rekeyed} stored URLs with canonical keys`, 'STARTUP');
+        }
+        if (merged > 0) {
+            logWithTimestamp(`Merged ${merged} stored URLs into an existing record of the same message and canonical key`, 'STARTUP');
         }
+        return rekeyed + merged;
     }
 
-    logWithTimestamp(`No URL history found for: ${url}`, 'INFO');
-    return null;
-}
+    // Canonical key of a stored entry, computed on the fly for entries that predate re-keying
+    getCanonicalKey(entry) {
+        return entry.canonicalUrl || this.canonicalKey(entry.url);
+    }
 
-async saveUrls(channelId, newUrls) {
-    if (!this.isInitialized) {
-        logWithTimestamp('URL storage not initialized', 'ERROR');
-        return 0;
-    }
-
-    try {
-        const existingUrls = this.urls.get(channelId) || [];
-        const updatedUrls = [...existingUrls];
-        let addedCount = 0;
-
-        for (const newUrl of newUrls) {
-            // Check if URL with the same messageId already exists
-            const isDuplicate = updatedUrls.some(existing => 
-                existing.messageId === newUrl.messageId && 
-                existing.url.trim() === newUrl.url.trim()
-            );
-            
-            // Only add if not a duplicate
-            if (!isDuplicate) {
-                updatedUrls.push({
-                    ...newUrl,
-                    url: newUrl.url.trim(),
-                    messageUrl: newUrl.messageUrl,
-                    userId: newUrl.userId,
-                    messageId: newUrl.messageId
-                });
-                logWithTimestamp(`Added URL: ${newUrl.url}`, 'INFO');
-                addedCount++;
-            } else {
-                logWithTimestamp(`Skipped duplicate message URL: ${newUrl.url} (messageId: ${newUrl.messageId})`, 'INFO');
+    // Duplicate-detection key of a URL. Short links already expanded by resolveUrls()
+    // are keyed by their destination.
+    canonicalKey(url) {
+        return canonicalizeUrl(this.linkResolver.getCached(url) || url);
+    }
+
+    // Expand any short links among the URLs so canonicalKey() can key them by destination
+    async resolveUrls(urls) {
+        await this.linkResolver.resolveAll(urls);
+    }
+
+    _insert(channelId, rawEntry) {
+        const now = Date.now();
+        const entry = normalizeUrlRecord({ channelId, ...rawEntry });
+        return this.db.prepare(`
+            INSERT OR IGNORE INTO urls
+              (url, canonical_url, channel_id, thread_id, thread_name, forum_channel_id, guild_id,
+               message_id, message_url, author_id, author_name, posted_at, created_at, schema_version)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            entry.url,
+            this.canonicalKey(entry.url),
+            channelId,
+            entry.threadId,
+            entry.threadName || null,
+            entry.forumChannelId || null,
+            entry.guildId,
+            entry.messageId,
+            entry.messageUrl || null,
+            entry.userId,
+            entry.author || null,
+            entry.timestamp || now,
+            now,
+            // Legacy imports keep their version until migrateRecords() has backfilled them
+            rawEntry.schemaVersion || (rawEntry.userId && rawEntry.threadId ? URL_RECORD_VERSION : 1)
+        ).changes;
+    }
+
+    _toRecord(row) {
+        return {
+            schemaVersion: row.schema_version,
+            url: row.url,
+            canonicalUrl: row.canonical_url,
+            userId: row.author_id,
+            author: row.author_name,
+            channelId: row.channel_id,
+            threadId: row.thread_id,
+            threadName: row.thread_name,
+            forumChannelId: row.forum_channel_id,
+            guildId: row.guild_id,
+            messageId: row.message_id,
+            messageUrl: row.message_url,
+            timestamp: row.posted_at,
+            status: row.status,
+            deletedAt: row.deleted_at
+        };
+    }
+
+    // Helper method to check for duplicates across all channels
+    isDuplicateUrl(url) {
+        if (!this.isInitialized) return false;
+        const row = this.db.prepare('SELECT 1 FROM urls WHERE canonical_url = ? LIMIT 1')
+            .get(this.canonicalKey(url));
+        return Boolean(row);
+    }
+
+    // WHERE clause for history lookups, optionally narrowed by thread, forum, poster or age
+    _historyWhere(url, filter = {}) {
+        const conditions = ['canonical_url = ?'];
+        const params = [this.canonicalKey(url)];
+
+        if (filter.threadId) {
+            conditions.push('thread_id = ?');
+            params.push(filter.threadId);
+        }
+        if (filter.forumChannelId) {
+            conditions.push('forum_channel_id = ?');
+            params.push(filter.forumChannelId);
+        }
+        if (filter.userId) {
+            conditions.push('author_id = ?');
+            params.push(filter.userId);
+        }
+        if (filter.since) {
+            conditions.push('posted_at >= ?');
+            params.push(filter.since);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    async findUrlHistory(url, filter = {}) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return null;
+        }
+
+        const { where, params } = this._historyWhere(url, filter);
+        const row = this.db.prepare(
+            `SELECT * FROM urls WHERE ${where} ${HISTORY_ORDER} LIMIT 1`
+        ).get(...params);
+
+        if (row) {
+            logWithTimestamp(`URL history found for: ${url} in channel ${row.channel_id}`, 'INFO');
+            return this._toRecord(row);
+        }
+
+        // Records removed by the retention policy can still count as earlier posts
+        if (URL_ARCHIVE_LOOKUP) {
+            const archived = await this.archive.find(this.canonicalKey(url), filter);
+            if (archived) {
+                logWithTimestamp(`URL history found in archive for: ${url} in channel ${archived.channelId}`, 'INFO');
+                return archived;
             }
         }
 
-        if (addedCount > 0) {
-            // Sort by ascending timestamp (oldest first)
-            updatedUrls.sort((a, b) => a.timestamp - b.timestamp);
-            this.urls.set(channelId, updatedUrls);
-            
-            const urlData = Object.fromEntries(this.urls);
-            await fs.writeFile(this.storageFile, JSON.stringify(urlData, null, 2));
-            
-            logWithTimestamp(`Saved ${addedCount} URLs for channel ${channelId}`, 'INFO');
-        }
-        
-        return addedCount;
-    } catch (error) {
-        logWithTimestamp(`Error saving URLs: ${error.message}`, 'ERROR');
-        return 0;
+        logWithTimestamp(`No URL history found for: ${url}`, 'INFO');
+        return null;
+    }
+
+    async saveUrls(channelId, newUrls) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return 0;
+        }
+
+        try {
+            let addedCount = 0;
+            await this.resolveUrls(newUrls.map(entry => entry.url));
+
+            const saveTx = this.db.transaction(() => {
+                for (const newUrl of newUrls) {
+                    // UNIQUE(message_id, canonical_url) skips re-imports of the same message
+                    if (this._insert(channelId, newUrl) > 0) {
+                        logWithTimestamp(`Added URL: ${newUrl.url}`, 'INFO');
+                        addedCount++;
+                    } else {
+                        logWithTimestamp(`Skipped duplicate message URL: ${newUrl.url} (messageId: ${newUrl.messageId})`, 'INFO');
+                    }
+                }
+            });
+            saveTx();
+
+            if (addedCount > 0) {
+                logWithTimestamp(`Saved ${addedCount} URLs for channel ${channelId}`, 'INFO');
+            }
+
+            return addedCount;
+        } catch (error) {
+            logWithTimestamp(`Error saving URLs: ${error.message}`, 'ERROR');
+            return 0;
+        }
     }
-}
 
     async addUrl(url, userId, channelId, threadId = null, messageId, author = 'Unknown') {
         if (!this.isInitialized) {
@@ -149,83 +404,303 @@ async saveUrls(channelId, newUrls) {
         return null;
     }
 
-    async deleteUrl(url) {
+    async deleteUrl(url, filter = {}) {
         if (!this.isInitialized) {
             logWithTimestamp('URL storage not initialized', 'ERROR');
             return false;
         }
 
-        let deleted = false;
-        for (const [channelId, urls] of this.urls.entries()) {
-            const index = urls.findIndex(entry => entry.url.trim() === url.trim());
-            if (index !== -1) {
-                urls.splice(index, 1);
-                const urlData = Object.fromEntries(this.urls);
-                await fs.writeFile(this.storageFile, JSON.stringify(urlData, null, 2));
-                
-                // Reload the storage after deletion
-                await this.reload();
-                
-                deleted = true;
-                logWithTimestamp(`Deleted URL: ${url}`, 'INFO');
-                break;
+        // Removes the record findUrlHistory() returns for the same filter
+        const { where, params } = this._historyWhere(url, filter);
+        const result = this.db.prepare(`
+            DELETE FROM urls WHERE id = (
+              SELECT id FROM urls WHERE ${where} ${HISTORY_ORDER} LIMIT 1
+            )
+        `).run(...params);
+
+        const deleted = result.changes > 0;
+        if (deleted) {
+            logWithTimestamp(`Deleted URL: ${url}`, 'INFO');
+        }
+        return deleted;
+    }
+
+    // Mark every URL posted in the given messages as deleted. Called from the
+    // messageDelete/messageDeleteBulk handlers so duplicate checks never have to
+    // ask Discord whether an original message still exists.
+    async markMessagesDeleted(messageIds, deletedAt = Date.now()) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return 0;
+        }
+
+        const markDeleted = this.db.prepare(
+            "UPDATE urls SET status = 'deleted', deleted_at = ? WHERE message_id = ? AND status != 'deleted'"
+        );
+        let marked = 0;
+        const markTx = this.db.transaction(() => {
+            for (const messageId of messageIds) {
+                marked += markDeleted.run(deletedAt, messageId).changes;
             }
+        });
+        markTx();
+
+        if (marked > 0) {
+            logWithTimestamp(`Marked ${marked} URLs as deleted from ${messageIds.length} message(s)`, 'INFO');
         }
+        return marked + await this._updateArchive('mark deleted URLs', archive => archive.markMessagesDeleted(messageIds, deletedAt));
+    }
 
-        return deleted;
+    // Apply a release or deletion to archived records too, so archive lookups do not
+    // bring back a URL the live table no longer counts. Returns the archived records changed.
+    async _updateArchive(description, update) {
+        if (!URL_ARCHIVE_LOOKUP) return 0;
+        try {
+            const changed = await update(this.archive);
+            if (changed > 0) {
+                logWithTimestamp(`URL archive: ${changed} archived record(s) affected (${description})`, 'INFO');
+            }
+            return changed;
+        } catch (error) {
+            logWithTimestamp(`Failed to ${description} in URL archive: ${error.message}`, 'ERROR');
+            return 0;
+        }
     }
 
-    // Get URLs for a specific channel
-    getUrls(channelId) {
+    // Get the URL records stored for a single message
+    getUrlsForMessage(messageId) {
         if (!this.isInitialized) {
             logWithTimestamp('URL storage not initialized', 'ERROR');
             return [];
         }
-        return this.urls.get(channelId) || [];
+        return this.db.prepare('SELECT * FROM urls WHERE message_id = ? ORDER BY id ASC')
+            .all(messageId)
+            .map(row => this._toRecord(row));
     }
 
-    async cleanup() {
-        // This method is now disabled
-        logWithTimestamp('URL cleanup is disabled - URLs will be kept forever', 'INFO');
-        return;
+    // Remove the given canonical URLs from a message's records so they no longer
+    // count as that user's post (e.g. after the link was edited out)
+    async releaseMessageUrls(messageId, canonicalUrls) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return 0;
+        }
+
+        const remove = this.db.prepare('DELETE FROM urls WHERE message_id = ? AND canonical_url = ?');
+        let released = 0;
+        const releaseTx = this.db.transaction(() => {
+            for (const canonicalUrl of canonicalUrls) {
+                released += remove.run(messageId, canonicalUrl).changes;
+            }
+        });
+        releaseTx();
+
+        if (released > 0) {
+            logWithTimestamp(`Released ${released} URLs from message ${messageId}`, 'INFO');
+        }
+        for (const canonicalUrl of canonicalUrls) {
+            released += await this._updateArchive('release URLs', archive => archive.release(canonicalUrl, { messageId }));
+        }
+        return released;
     }
 
-    async getAllChannelIds() {
-        return Array.from(this.urls.keys());
+    // Full history of a URL across all channels, the duplicate-check original first
+    async getUrlHistory(url) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return [];
+        }
+        return this.db.prepare(`SELECT * FROM urls WHERE canonical_url = ? ${HISTORY_ORDER}`)
+            .all(this.canonicalKey(url))
+            .map(row => this._toRecord(row));
     }
 
-    async reload() {
-        try {
-            if (!this.storageFile) {
-                throw new Error('Storage file path not set. Initialize first.');
+    // Remove a URL's records (optionally only one poster's) so it can be posted again
+    async releaseUrl(url, userId = null) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return 0;
+        }
+
+        const canonicalUrl = this.canonicalKey(url);
+        const result = userId
+            ? this.db.prepare('DELETE FROM urls WHERE canonical_url = ? AND author_id = ?').run(canonicalUrl, userId)
+            : this.db.prepare('DELETE FROM urls WHERE canonical_url = ?').run(canonicalUrl);
+
+        if (result.changes > 0) {
+            logWithTimestamp(`Released ${result.changes} records for URL: ${url}${userId ? ` (user ${userId})` : ''}`, 'INFO');
+        }
+        return result.changes + await this._updateArchive('release URLs', archive => archive.release(canonicalUrl, { userId }));
+    }
+
+    // Make another user the owner of the record duplicate checks treat as the original
+    async transferUrl(url, userId, authorName) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return null;
+        }
+
+        const row = this.db.prepare(`SELECT * FROM urls WHERE canonical_url = ? ${HISTORY_ORDER} LIMIT 1`)
+            .get(this.canonicalKey(url));
+        if (!row) return null;
+
+        this.db.prepare('UPDATE urls SET author_id = ?, author_name = ? WHERE id = ?').run(userId, authorName, row.id);
+        logWithTimestamp(`Transferred URL ${url} from ${row.author_id || row.author_name} to ${userId}`, 'INFO');
+        return {
+            previous: this._toRecord(row),
+            updated: this._toRecord({ ...row, author_id: userId, author_name: authorName })
+        };
+    }
+
+    async addExemption(url, userId, grantedBy) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return false;
+        }
+        this.db.prepare(
+            'INSERT INTO url_exemptions (canonical_url, user_id, granted_by, created_at) VALUES (?, ?, ?, ?)'
+        ).run(this.canonicalKey(url), userId, grantedBy || null, Date.now());
+        logWithTimestamp(`Granted repost exemption for ${url} to user ${userId}`, 'INFO');
+        return true;
+    }
+
+    // Unused exemptions for a URL
+    async getExemptions(url) {
+        if (!this.isInitialized) return [];
+        return this.db.prepare(
+            'SELECT * FROM url_exemptions WHERE canonical_url = ? AND used_at IS NULL ORDER BY created_at'
+        ).all(this.canonicalKey(url));
+    }
+
+    // Use up one exemption for this user and URL; returns true if one was available
+    async consumeExemption(url, userId, messageId) {
+        if (!this.isInitialized) return false;
+        const result = this.db.prepare(`
+            UPDATE url_exemptions SET used_at = ?, used_message_id = ?
+            WHERE id = (
+              SELECT id FROM url_exemptions
+              WHERE canonical_url = ? AND user_id = ? AND used_at IS NULL
+              ORDER BY created_at LIMIT 1
+            )
+        `).run(Date.now(), messageId, this.canonicalKey(url), userId);
+        return result.changes > 0;
+    }
+
+    // Get URLs for a specific channel, thread or forum
+    getUrls(channelId) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return [];
+        }
+        return this.db.prepare(`
+            SELECT * FROM urls
+            WHERE channel_id = ? OR thread_id = ? OR forum_channel_id = ?
+            ORDER BY posted_at ASC
+        `).all(channelId, channelId, channelId)
+            .map(row => this._toRecord(row));
+    }
+
+    /**
+     * Apply the retention policy: records older than maxAgeDays, and records beyond the
+     * newest maxEntriesPerThread of each thread, are moved to the compressed archive.
+     * With keepIfVoted, records whose message received votes are never removed.
+     *
+     * @param {{maxAgeDays: number, maxEntriesPerThread: number, keepIfVoted: boolean}} policy
+     * @returns {Promise<{removed: number, keptVoted: number, byReason: object, byThread: object[]}>}
+     */
+    async cleanup(policy) {
+        const report = { removed: 0, keptVoted: 0, byReason: { maxAge: 0, maxEntriesPerThread: 0 }, byThread: [] };
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return report;
+        }
+
+        const votedColumn = 'EXISTS (SELECT 1 FROM votes v WHERE v.message_id = u.message_id) AS voted';
+        const candidates = new Map(); // id -> { row, reason }
+
+        if (policy.maxAgeDays > 0) {
+            const cutoff = Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000;
+            const rows = this.db.prepare(`SELECT u.*, ${votedColumn} FROM urls u WHERE u.posted_at < ?`).all(cutoff);
+            rows.forEach(row => candidates.set(row.id, { row, reason: 'maxAge' }));
+        }
+
+        if (policy.maxEntriesPerThread > 0) {
+            const rows = this.db.prepare(`
+                SELECT * FROM (
+                  SELECT u.*, ${votedColumn},
+                         ROW_NUMBER() OVER (PARTITION BY COALESCE(u.thread_id, u.channel_id) ORDER BY u.posted_at DESC, u.id DESC) AS thread_rank
+                  FROM urls u
+                ) WHERE thread_rank > ?
+            `).all(policy.maxEntriesPerThread);
+            rows.forEach(row => {
+                if (!candidates.has(row.id)) candidates.set(row.id, { row, reason: 'maxEntriesPerThread' });
+            });
+        }
+
+        const expired = [];
+        for (const candidate of candidates.values()) {
+            if (policy.keepIfVoted && candidate.row.voted) {
+                report.keptVoted++;
+                continue;
             }
-            
-            const data = await fs.readFile(this.storageFile, 'utf8').catch(() => '{}');
-            const urlData = JSON.parse(data);
-            
-            this.urls.clear();
-            for (const [channelId, urls] of Object.entries(urlData)) {
-                this.urls.set(channelId, urls);
+            expired.push(candidate);
+        }
+
+        if (expired.length === 0) {
+            logWithTimestamp(`URL retention: nothing to remove (${report.keptVoted} kept because they were voted on)`, 'INFO');
+            return report;
+        }
+
+        // Archive first so a failed write never loses records
+        await this.archive.append(expired.map(({ row, reason }) => ({ ...this._toRecord(row), archiveReason: reason })));
+
+        const remove = this.db.prepare('DELETE FROM urls WHERE id = ?');
+        const removeTx = this.db.transaction(() => {
+            for (const { row } of expired) {
+                remove.run(row.id);
             }
-            
-            logWithTimestamp('URL storage reloaded', 'INFO');
-        } catch (error) {
-            logWithTimestamp(`Error reloading URL storage: ${error.message}`, 'ERROR');
-            throw error;
+        });
+        removeTx();
+
+        const threads = new Map();
+        for (const { row, reason } of expired) {
+            report.byReason[reason]++;
+            const threadKey = row.thread_id || row.channel_id;
+            const thread = threads.get(threadKey) || { threadId: threadKey, threadName: row.thread_name, count: 0 };
+            thread.count++;
+            threads.set(threadKey, thread);
         }
+        report.removed = expired.length;
+        report.byThread = [...threads.values()].sort((a, b) => b.count - a.count);
+
+        logWithTimestamp(`URL retention: archived ${report.removed} records (age: ${report.byReason.maxAge}, per-thread limit: ${report.byReason.maxEntriesPerThread}, kept voted: ${report.keptVoted})`, 'INFO');
+        return report;
+    }
+
+    async getAllChannelIds() {
+        if (!this.isInitialized) return [];
+        return this.db.prepare('SELECT DISTINCT channel_id FROM urls').all().map(row => row.channel_id);
+    }
+
+    async reload() {
+        // Kept for API compatibility - SQLite reads are always current
+        logWithTimestamp('URL storage reloaded', 'INFO');
     }
 
     async getStats() {
         const stats = {
             totalUrls: 0,
-            channelCount: this.urls.size,
+            channelCount: 0,
             urlsPerChannel: {}
         };
+        if (!this.isInitialized) return stats;
 
-        for (const [channelId, urls] of this.urls.entries()) {
-            stats.totalUrls += urls.length;
-            stats.urlsPerChannel[channelId] = urls.length;
+        const rows = this.db.prepare('SELECT channel_id, COUNT(*) AS count FROM urls GROUP BY channel_id').all();
+        for (const row of rows) {
+            stats.totalUrls += row.count;
+            stats.urlsPerChannel[row.channel_id] = row.count;
         }
+        stats.channelCount = rows.length;
 
         return stats;
     }
@@ -233,7 +708,7 @@ async saveUrls(channelId, newUrls) {
     shutdown() {
         logWithTimestamp('URL Storage shutting down...', 'SHUTDOWN');
         this.isInitialized = false;
-        // Any cleanup code if needed
+        // The database connection is owned by voting/db.js
     }
 }
 
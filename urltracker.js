@@ -1,13 +1,28 @@
 const { EmbedBuilder, ChannelType } = require('discord.js');
 const UrlStorage = require('./urlStore');
 const { logWithTimestamp } = require('./utils');
+const { buildUrlRecord } = require('./urlRecord');
+const { LinkPolicy } = require('./linkPolicy');
+const { DedupPolicy } = require('./dedupPolicy');
+const { MessageTemplates } = require('./templates');
+const { getForum } = require('./forums');
+const { VIOLATION_TYPES } = require('./violationLedger');
+const { extractUrls } = require('./urlExtractor');
+const { fingerprintAttachment } = require('./attachmentFingerprint');
+const { listChannelThreads, fetchMessagePage, DEFAULT_MESSAGE_LIMIT } = require('./backfill');
 const { DB_TIMEOUT, THRESHOLD_DUPE_AGE } = require('./config');
 
 class UrlTracker {
-    constructor(client, urlStore) {
+    constructor(client, urlStore, violationLedger = null, attachmentStore = null, shadowMode = null, noticeDelivery = null) {
         this.client = client;
         this.urlStore = urlStore; // Use the provided instance instead of creating a new one
-        this.urlRegex = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/g;
+        this.violationLedger = violationLedger;
+        this.attachmentStore = attachmentStore;
+        this.shadowMode = shadowMode;
+        this.noticeDelivery = noticeDelivery;
+        this.linkPolicy = new LinkPolicy();
+        this.dedupPolicy = new DedupPolicy();
+        this.templates = new MessageTemplates();
     }
 
     async syncWithStorage(channelId) {
@@ -49,10 +64,19 @@ class UrlTracker {
         }
     }
 
-    async sendLogToChannel(title, fields) {
+    /**
+     * Post a log embed. Events in a monitored forum go to that forum's log channel,
+     * everything else to LOG_CHANNEL_ID.
+     *
+     * @param {string} title
+     * @param {object[]} fields
+     * @param {string|null} forumId  Forum channel the event happened in
+     */
+    async sendLogToChannel(title, fields, forumId = null) {
     try {
-        // Check if logging is enabled via environment variable
-        const logChannelId = process.env.LOG_CHANNEL_ID;
+        // Check if logging is enabled for this forum or via environment variable
+        const forum = getForum(forumId);
+        const logChannelId = forum ? forum.logChannelId : process.env.LOG_CHANNEL_ID;
         if (!logChannelId) {
             return false; // Logging disabled, no channel ID specified
         }
@@ -70,10 +94,7 @@ class UrlTracker {
             .setTitle(title)
             .addFields(...fields)
             .setTimestamp()
-            .setFooter({
-                text: 'Botanix Labs URL Tracker',
-                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-            });
+            .setFooter(this.templates.footer(logChannel.guild));
 
         await logChannel.send({ embeds: [embed] });
         return true;
@@ -85,239 +106,141 @@ class UrlTracker {
 
     async handleUrlMessage(message, urls) {
         try {
-            // Scenario 0: Check if any of the URLs contain BOTANIX_TWITTER value
-            if (process.env.BOTANIX_TWITTER && process.env.BOTANIX_TWITTER.trim() !== '') {
-                const botanixTwitterValue = process.env.BOTANIX_TWITTER.trim().toLowerCase();
-                const containsBotanixTwitter = urls.some(url => 
-                    url.toLowerCase().includes(botanixTwitterValue));
-                
-                if (containsBotanixTwitter) {
-                    logWithTimestamp(`Found Botanix Twitter URL: ${urls.join(', ')}`, 'INFO');
-                    const embed = new EmbedBuilder()
-                        .setColor('#ff0000')
-                        .setDescription(`<@${message.author.id}>, simply resharing Botanix tweets doesn't add much value\nPlease contribute with your own original content`)
-                        .setFooter({
-                            text: 'Botanix Labs',
-                            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                        });
-
-                    // Send as a reply instead of a standalone message
-                    const replyMessage = await message.reply({ embeds: [embed] });
-
-                    // Delete the user's message
-                    if (message.deletable) {
-                        await message.delete();
-                    }
-                    
-                    // Send log to designated channel
-                    await this.sendLogToChannel(
-                        'Botanix Twitter URL Posted and Removed',
-                        [
-                            { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                            { name: 'URL', value: urls.find(url => url.toLowerCase().includes(botanixTwitterValue)) || 'Unknown' }
-                        ]
-                    );
-                    
+            // Scenario 0: Apply configured link rules (see linkPolicy.js)
+            const ruleMatches = this.linkPolicy.evaluate(urls, getForum(message.channel.parentId));
+            const deleteMatch = ruleMatches.find(match => match.rule.action === 'delete');
+
+            if (deleteMatch) {
+                logWithTimestamp(`Link rule "${deleteMatch.rule.name}" matched: ${deleteMatch.url}`, 'INFO');
+
+                if (this.shadowMode?.isShadow('urls')) {
+                    this.shadowMode.record('urls', 'would delete', {
+                        message,
+                        url: deleteMatch.url,
+                        details: `Link rule: ${deleteMatch.rule.name}`
+                    });
                     return [];
                 }
+
+                const template = this.linkPolicy.templateFor(deleteMatch.rule);
+                const embed = this.templates.render(template.id, {
+                    user: `${message.author}`,
+                    url: deleteMatch.url,
+                    rule: deleteMatch.rule.name
+                }, message.guild, template.override);
+
+                const notice = await this._sendNotice(VIOLATION_TYPES.BLOCKED_URL, message, embed, { removesOriginal: true });
+
+                // Delete the user's message
+                if (message.deletable) {
+                    await message.delete();
+                }
+
+                this.violationLedger?.record(VIOLATION_TYPES.BLOCKED_URL, message, {
+                    url: deleteMatch.url,
+                    action: `${notice.action}, message deleted`,
+                    details: `Link rule: ${deleteMatch.rule.name}`
+                });
+
+                // Send log to designated channel
+                await this.sendLogToChannel(
+                    'Blocked URL Posted and Removed',
+                    [
+                        { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+                        { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
+                        { name: 'Rule', value: deleteMatch.rule.name },
+                        { name: 'URL', value: deleteMatch.url },
+                        { name: 'Warning', value: notice.action }
+                    ],
+                    message.channel.parentId
+                );
+
+                return [];
+            }
+
+            // URLs exempt from duplicate detection
+            const exemptUrls = new Set();
+
+            for (const { url, rule } of ruleMatches) {
+                logWithTimestamp(`Link rule "${rule.name}" (${rule.action}) matched: ${url}`, 'INFO');
+
+                if (rule.action === 'allow') {
+                    exemptUrls.add(url);
+                    continue;
+                }
+
+                if (rule.action !== 'log' && this.shadowMode?.isShadow('urls')) {
+                    this.shadowMode.record('urls', `would ${rule.action}`, { message, url, details: `Link rule: ${rule.name}` });
+                    continue;
+                }
+
+                let notice = null;
+                if (rule.action === 'warn') {
+                    const template = this.linkPolicy.templateFor(rule);
+                    const embed = this.templates.render(template.id, {
+                        user: `${message.author}`,
+                        url,
+                        rule: rule.name
+                    }, message.guild, template.override);
+                    notice = await this._sendNotice(VIOLATION_TYPES.BLOCKED_URL, message, embed);
+                } else if (rule.action === 'react') {
+                    await message.react(this.linkPolicy.reactionFor(rule));
+                }
+
+                await this.sendLogToChannel(
+                    'Link Rule Matched',
+                    [
+                        { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+                        { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
+                        { name: 'Rule', value: `${rule.name} (${rule.action})` },
+                        { name: 'URL', value: url },
+                        ...(notice ? [{ name: 'Warning', value: notice.action }] : [])
+                    ],
+                    message.channel.parentId
+                );
             }
             
             const urlsToStore = []; // Add this array to collect new URLs
+
+            // Expand short links so a wrapped link is checked against its destination
+            await this.urlStore.resolveUrls(urls.filter(url => !exemptUrls.has(url)));
             
             for (const url of urls) {
+                if (exemptUrls.has(url)) {
+                    logWithTimestamp(`Skipping duplicate check for exempt URL: ${url}`, 'INFO');
+                    continue;
+                }
+
                 logWithTimestamp(`Checking URL: ${url}`, 'INFO');
-                const existingUrl = await this.urlStore.findUrlHistory(url);
+                // Scope, repost window and enabled scenarios for this thread (see dedupPolicy.js)
+                const forumChannelId = message.channel.parentId || null;
+                const policy = this.dedupPolicy.resolve(message.channel.id, forumChannelId, getForum(forumChannelId)?.dedup);
+                // With cross-user checks off only the poster's own history matters
+                const historyFilter = this.dedupPolicy.historyFilter(
+                    policy,
+                    message.channel.id,
+                    forumChannelId,
+                    policy.scenarios.crossUser ? null : message.author.id
+                );
+                const existingUrl = await this.urlStore.findUrlHistory(url, historyFilter);
                 
                 if (existingUrl) {
                     logWithTimestamp(`Found existing URL: ${url} from author: ${existingUrl.author}`, 'INFO'); 
-                    
-                    // Check if the original poster is the same as current author
-                    if (existingUrl.author !== message.author.tag) {
-                        // Different author - not allowed (Scenario 1)
-                        const embed = new EmbedBuilder()
-                            .setColor('#ff0000')
-                            .setTitle('Please share only your own original content!')
-                            .setDescription(`${message.author}, this URL was previously shared by another user`)
-                            .addFields(
-                                {name: 'Original message:', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}` },
-                                { name: 'URL:', value: url }
-                            )
-                            .setFooter({
-                                text: 'Botanix Labs',
-                                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                            });
-
-                        await message.reply({ embeds: [embed] });
-                        await message.react('🚫'); // Add no_entry_sign reaction
-                        
-                        // Send log to designated channel
-                        await this.sendLogToChannel(
-                            'Different User Posted Same URL',
-                            [
-                                { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                                { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}`, inline: true},
-                                { name: 'Original Message', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}`, inline: false},
-                                { name: 'Original Poster', value: existingUrl.userId ? `<@${existingUrl.userId}> (${existingUrl.userId})` : existingUrl.author || 'Unknown' },
-                                { name: 'URL', value: url },
-								{ name: 'Warning', value: 'Sent to user', inline: false }
-                            ]
-                        );
-                        
-                        logWithTimestamp(`Sent duplicate URL notification for: ${url}`, 'INFO');
-                    } else {
-                        // Same author - check if same thread
-                        if (existingUrl.channelId !== message.channel.id) {
-                            // Different thread
-                            const embed = new EmbedBuilder()
-                                .setColor('#ff0000')
-                                .setTitle(`You have posted this before`)
-                                .setDescription(`${message.author}, you shared this URL in a different thread`)
-                                .addFields(
-                                    { name: 'Original message:', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}` },
-                                    { name: 'URL:', value: url }
-                                )
-                                .setFooter({
-                                    text: 'Botanix Labs',
-                                    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                                });
-
-                            await message.reply({ embeds: [embed] });
-                            await message.react('🚫'); 
-                            
-                            // Send log to designated channel
-                            await this.sendLogToChannel(
-                                'Same User Posted URL in Different Thread',
-                                [                                   
-                                    { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                                    { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
-                                    { name: 'Original Message', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}` },
-                                    { name: 'URL', value: url },
-									{ name: 'Warning', value: 'Sent to user' }
-                                ]
-                            );
-                            
-                            logWithTimestamp(`Sent same-author different-thread notification for: ${url}`, 'INFO');
-                        } else {
-                            // Same thread - check if original message exists
-                            const originalMessage = await message.channel.messages
-                                .fetch(existingUrl.messageId)
-                                .catch(() => null);
-
-                            if (originalMessage) {
-                                // Original message still exists
-                                const embed = new EmbedBuilder()
-                                    .setColor('#ff0000')
-                                    .setTitle(`You have posted this before`)
-                                    .setDescription(`${message.author}, you already shared this URL in this thread`)
-                                    .addFields(
-                                        { name: 'Original Message:', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}` },
-                                        { name: 'URL', value: url }
-                                    )
-                                    .setFooter({
-                                        text: 'Botanix Labs',
-                                        iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                                    });
-
-                                await message.reply({ embeds: [embed] });
-                                await message.react('⭕');
-                                
-                                // Send log to designated channel
-                                await this.sendLogToChannel(
-                                    'Same User Reposted URL in Same Thread',
-                                    [
-                                        
-                                        { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                                        { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
-                                        { name: 'Original Message', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}` },
-                                        { name: 'URL', value: url },
-										{ name: 'Warning', value: 'Sent to user' }
-                                    ]
-                                );
-                                
-                                logWithTimestamp(`Sent same-thread notification for: ${url}`, 'INFO');
-                            } else {
-                                // Original message is gone - check age threshold
-                                const currentTime = Date.now();
-                                const originalTime = existingUrl.timestamp;
-                                const ageInMinutes = (currentTime - originalTime) / (60 * 1000);
-                                
-                                if (ageInMinutes < THRESHOLD_DUPE_AGE) {
-                                    // Less than threshold - treat as new URL
-                                    await this.urlStore.deleteUrl(url);
-                                    logWithTimestamp(`Deleted old URL entry as original message no longer exists and age (${ageInMinutes.toFixed(2)} min) is less than threshold: ${url}`, 'INFO');
-                                    urlsToStore.push({
-                                        url,
-                                        timestamp: message.createdTimestamp,
-                                        author: message.author.tag,
-                                        authorId: message.author.id,
-                                        threadName: message.channel.name,
-                                        threadId: message.channel.id,                      // Explicit thread ID
-                                        forumChannelId: message.channel.parent?.id,        // Parent forum channel ID
-                                        messageId: message.id,
-                                        messageUrl: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}`,
-                                        guildId: message.guild.id
-                                    });
-                                    
-                                    // Send log to designated channel
-                                    await this.sendLogToChannel(
-                                        'URL Reposted After Original Was Deleted (Within Threshold)',
-                                        [
-                                            { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                                            { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
-                                            { name: 'Original Message', value: `deleted (age: ${ageInMinutes.toFixed(1)} minutes)` },
-                                            { name: 'URL', value: url },
-											{ name: 'Warning', value: 'Not sent - URL treated as new' }
-                                        ]
-                                    );
-                                } else {
-                                    // More than threshold - send warning as duplicate
-                                    const embed = new EmbedBuilder()
-                                        .setColor('#ff0000')
-                                        .setTitle(`You have posted this before`)
-                                        .setDescription(`${message.author}, you already shared this URL in this thread`)
-                                        .addFields(
-                                            { name: 'Original Message:', value: `deleted` },
-                                        )
-                                        .setFooter({
-                                            text: 'Botanix Labs',
-                                            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                                        });
-
-                                    await message.reply({ embeds: [embed] });
-                                    await message.react('⭕');
-                                    
-                                    // Send log to designated channel  
-                                    await this.sendLogToChannel(
-                                        'URL Reposted After Original Was Deleted (Beyond Threshold)',
-                                        [
-                                            
-                                            { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                                            { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
-                                            { name: 'Original Message', value: `deleted (age: ${ageInMinutes.toFixed(1)} minutes)` },
-                                { name: 'URL', value: url },
-								{ name: 'Warning', value: 'Sent to user' }
-                                        ]
-                                    );
-                                    
-                                    logWithTimestamp(`Sent same-thread notification for deleted message with age (${ageInMinutes.toFixed(2)} min) exceeding threshold: ${url}`, 'INFO');
-                                }
-                            }
-                        }
+
+                    const storeAsNew = await this.applyDuplicateScenarios(message, existingUrl, policy, {
+                        noun: 'URL',
+                        label: 'URL',
+                        value: url,
+                        url,
+                        release: () => this.urlStore.deleteUrl(url, historyFilter),
+                        consumeExemption: () => this.urlStore.consumeExemption(url, message.author.id, message.id)
+                    });
+                    if (storeAsNew) {
+                        urlsToStore.push(buildUrlRecord(message, url));
                     }
                 } else {
                     // New URL - add it to store
-                    urlsToStore.push({
-                        url,
-                        timestamp: message.createdTimestamp,
-                        author: message.author.tag,
-                        authorId: message.author.id,
-                        threadName: message.channel.name,
-                        threadId: message.channel.id,
-                        forumChannelId: message.channel.parent?.id || null,
-                        messageId: message.id,
-                        messageUrl: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}`,
-                        guildId: message.guild.id
-                    });
+                    urlsToStore.push(buildUrlRecord(message, url));
                 }
             }
             
@@ -337,7 +260,390 @@ class UrlTracker {
         }
     }
 
-    async fetchAllUrlsFromChannel(channelId) {
+    /**
+     * Fingerprint the files uploaded with a message and run them through the same
+     * duplicate scenarios as URLs. Exact copies match by SHA-256, images also by
+     * perceptual hash (see attachmentStore.js).
+     *
+     * @param {import('discord.js').Message} message
+     * @returns {Promise<object[]>} the attachment records stored
+     */
+    async handleAttachmentMessage(message) {
+        if (!this.attachmentStore) return [];
+
+        try {
+            const forumChannelId = message.channel.parentId || null;
+            const policy = this.dedupPolicy.resolve(message.channel.id, forumChannelId, getForum(forumChannelId)?.dedup);
+            const historyFilter = this.dedupPolicy.historyFilter(
+                policy,
+                message.channel.id,
+                forumChannelId,
+                policy.scenarios.crossUser ? null : message.author.id
+            );
+
+            const attachmentsToStore = [];
+            const seen = new Set(); // The same file attached twice counts once
+
+            for (const attachment of message.attachments.values()) {
+                let fingerprint;
+                try {
+                    fingerprint = await fingerprintAttachment(attachment);
+                } catch (error) {
+                    logWithTimestamp(`Skipping attachment ${attachment.name} on message ${message.id}: ${error.message}`, 'WARN');
+                    continue;
+                }
+                if (seen.has(fingerprint.sha256)) continue;
+                seen.add(fingerprint.sha256);
+
+                logWithTimestamp(`Checking attachment: ${fingerprint.fileName} (${fingerprint.sha256.slice(0, 12)})`, 'INFO');
+                const existing = await this.attachmentStore.findAttachmentHistory(fingerprint, historyFilter);
+                const record = { ...buildUrlRecord(message, fingerprint.url), ...fingerprint };
+
+                if (!existing) {
+                    attachmentsToStore.push(record);
+                    continue;
+                }
+
+                logWithTimestamp(`Found ${existing.match} match for attachment ${fingerprint.fileName} from author: ${existing.author}`, 'INFO');
+                const matchText = existing.match === 'exact'
+                    ? 'identical file'
+                    : `similar image, ${existing.distance} of 64 hash bits differ`;
+                const storeAsNew = await this.applyDuplicateScenarios(message, existing, policy, {
+                    noun: 'file',
+                    label: 'File',
+                    value: `${fingerprint.fileName} (${matchText})`,
+                    url: fingerprint.url,
+                    details: `Attachment ${existing.match} match with ${existing.fileName || 'earlier upload'}`,
+                    release: () => this.attachmentStore.deleteAttachment(existing.id)
+                });
+                if (storeAsNew) {
+                    attachmentsToStore.push(record);
+                }
+            }
+
+            if (attachmentsToStore.length > 0) {
+                await this.attachmentStore.saveAttachments(attachmentsToStore);
+            }
+            return attachmentsToStore;
+        } catch (error) {
+            logWithTimestamp(`Error handling attachments: ${error.message}`, 'ERROR');
+            return [];
+        }
+    }
+
+    /**
+     * Apply the duplicate scenarios to one posted item that has an earlier record.
+     * Shared by URLs and attachments so both get the same replies, reactions and logs.
+     *
+     * @param {import('discord.js').Message} message  The new message
+     * @param {object} existing  The earlier record (URL or attachment record shape)
+     * @param {object} policy  Resolved duplicate detection policy for the thread
+     * @param {{noun: string, label: string, value: string, url: string, details?: string, release: Function, consumeExemption?: Function}} item
+     *   noun/label name the item in replies and log titles, value is shown to the user,
+     *   url goes to the violation ledger, release() removes the earlier record and
+     *   consumeExemption() uses up a moderator's one-time repost permission, if any
+     * @returns {Promise<boolean>} true when the item should be stored as new
+     */
+    async applyDuplicateScenarios(message, existing, policy, item) {
+        // Check if the original poster is the same as current author.
+        // Compare by user ID so username changes don't count as a different poster;
+        // records that never had an ID fall back to the author tag.
+        const isDifferentAuthor = existing.userId
+            ? existing.userId !== message.author.id
+            : existing.author !== message.author.tag;
+        const sameThread = existing.threadId === message.channel.id;
+        const scenario = isDifferentAuthor
+            ? 'crossUser'
+            : (sameThread ? 'sameUserSameThread' : 'sameUserOtherThread');
+
+        if (!policy.scenarios[scenario]) {
+            logWithTimestamp(`Duplicate scenario ${scenario} disabled for thread ${message.channel.id}, allowing: ${item.value}`, 'INFO');
+            return true;
+        }
+
+        // Placeholders shared by the duplicate reply templates (see templates.js)
+        const templateValues = {
+            user: `${message.author}`,
+            item: item.noun,
+            itemLabel: item.label,
+            url: item.value,
+            original: `https://discord.com/channels/${message.guild.id}/${existing.threadId}/${existing.messageId}`,
+            originalUser: existing.userId ? `<@${existing.userId}>` : (existing.author || 'Unknown'),
+            thread: `<#${existing.threadId}>`,
+            age: existing.timestamp ? `<t:${Math.floor(existing.timestamp / 1000)}:R>` : null,
+            deletedAge: existing.deletedAt ? `<t:${Math.floor(existing.deletedAt / 1000)}:R>` : null
+        };
+
+        if (isDifferentAuthor) {
+            // Different author - not allowed (Scenario 1)
+            if (await this._useExemption(message, existing, item)) return true;
+            if (this._shadowDuplicate(message, existing, item, `Different user posted same ${item.noun}`)) return false;
+
+            const embed = this.templates.render('duplicate_cross_user', templateValues, message.guild);
+
+            const notice = await this._sendDuplicateNotice(VIOLATION_TYPES.CROSS_USER_DUPLICATE, message, embed, '🚫');
+            
+            this.violationLedger?.record(VIOLATION_TYPES.CROSS_USER_DUPLICATE, message, {
+                url: item.url,
+                originalMessageUrl: `https://discord.com/channels/${message.guild.id}/${existing.threadId}/${existing.messageId}`,
+                originalUserId: existing.userId,
+                action: notice.ledgerAction,
+                details: item.details
+            });
+
+            // Send log to designated channel
+            await this.sendLogToChannel(
+                `Different User Posted Same ${item.label}`,
+                [
+                    { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+                    { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}`, inline: true},
+                    { name: 'Original Message', value: `https://discord.com/channels/${message.guild.id}/${existing.threadId}/${existing.messageId}`, inline: false},
+                    { name: 'Original Poster', value: existing.userId ? `<@${existing.userId}> (${existing.userId})` : existing.author || 'Unknown' },
+                    { name: item.label, value: item.value },
+                    { name: 'Warning', value: notice.action, inline: false }
+                ],
+                message.channel.parentId
+            );
+            
+            logWithTimestamp(`Sent duplicate ${item.noun} notification for: ${item.value}`, 'INFO');
+        } else if (existing.status === 'deleted') {
+            // Same author, original message was deleted (in any thread).
+            // THRESHOLD_DUPE_AGE is measured from when the original was deleted.
+            const minutesSinceDeletion = (Date.now() - existing.deletedAt) / (60 * 1000);
+
+            if (minutesSinceDeletion < THRESHOLD_DUPE_AGE) {
+                // Less than threshold - treat as new
+                await item.release();
+                logWithTimestamp(`Deleted old ${item.noun} entry as original message was deleted ${minutesSinceDeletion.toFixed(2)} min ago, within threshold: ${item.value}`, 'INFO');
+
+                // Send log to designated channel
+                await this.sendLogToChannel(
+                    `${item.label} Reposted After Original Was Deleted (Within Threshold)`,
+                    [
+                        { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+                        { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
+                        { name: 'Original Message', value: `deleted ${minutesSinceDeletion.toFixed(1)} minutes ago (<#${existing.threadId}>)` },
+                        { name: item.label, value: item.value },
+                        { name: 'Warning', value: `Not sent - ${item.noun} treated as new` }
+                    ],
+                    message.channel.parentId
+                );
+                return true;
+            } else {
+                // More than threshold - send warning as duplicate
+                if (await this._useExemption(message, existing, item)) return true;
+                if (this._shadowDuplicate(message, existing, item, `Reposted ${item.noun} after the original was deleted`)) return false;
+
+                const embed = this.templates.render(sameThread ? 'duplicate_deleted_same_thread' : 'duplicate_deleted_other_thread', templateValues, message.guild);
+
+                const notice = await this._sendDuplicateNotice(VIOLATION_TYPES.DELETED_REPOST, message, embed, '⭕');
+
+                this.violationLedger?.record(VIOLATION_TYPES.DELETED_REPOST, message, {
+                    url: item.url,
+                    originalMessageUrl: `https://discord.com/channels/${message.guild.id}/${existing.threadId}/${existing.messageId}`,
+                    originalUserId: existing.userId,
+                    action: notice.ledgerAction,
+                    details: [`Original deleted ${minutesSinceDeletion.toFixed(1)} minutes ago`, item.details].filter(Boolean).join('; ')
+                });
+
+                // Send log to designated channel
+                await this.sendLogToChannel(
+                    `${item.label} Reposted After Original Was Deleted (Beyond Threshold)`,
+                    [
+                        { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+                        { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
+                        { name: 'Original Message', value: `deleted ${minutesSinceDeletion.toFixed(1)} minutes ago (<#${existing.threadId}>)` },
+                        { name: item.label, value: item.value },
+                        { name: 'Warning', value: notice.action }
+                    ],
+                    message.channel.parentId
+                );
+
+                logWithTimestamp(`Sent repost notification for original deleted ${minutesSinceDeletion.toFixed(2)} min ago, beyond threshold: ${item.value}`, 'INFO');
+            }
+        } else {
+            // Same author - check if same thread
+            if (!sameThread) {
+                // Different thread
+                if (await this._useExemption(message, existing, item)) return true;
+                if (this._shadowDuplicate(message, existing, item, `Same user posted ${item.noun} in a different thread`)) return false;
+
+                const embed = this.templates.render('duplicate_other_thread', templateValues, message.guild);
+
+                const notice = await this._sendDuplicateNotice(VIOLATION_TYPES.SAME_USER_OTHER_THREAD, message, embed, '🚫');
+                
+                this.violationLedger?.record(VIOLATION_TYPES.SAME_USER_OTHER_THREAD, message, {
+                    url: item.url,
+                    originalMessageUrl: `https://discord.com/channels/${message.guild.id}/${existing.threadId}/${existing.messageId}`,
+                    originalUserId: existing.userId,
+                    action: notice.ledgerAction,
+                    details: item.details
+                });
+
+                // Send log to designated channel
+                await this.sendLogToChannel(
+                    `Same User Posted ${item.label} in Different Thread`,
+                    [                                   
+                        { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+                        { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
+                        { name: 'Original Message', value: `https://discord.com/channels/${message.guild.id}/${existing.threadId}/${existing.messageId}` },
+                        { name: item.label, value: item.value },
+                        { name: 'Warning', value: notice.action }
+                    ],
+                    message.channel.parentId
+                );
+                
+                logWithTimestamp(`Sent same-author different-thread notification for: ${item.value}`, 'INFO');
+            } else {
+                // Same thread - original message still exists (deletions are tracked in storage)
+                if (await this._useExemption(message, existing, item)) return true;
+                if (this._shadowDuplicate(message, existing, item, `Same user reposted ${item.noun} in the same thread`)) return false;
+
+                const embed = this.templates.render('duplicate_same_thread', templateValues, message.guild);
+
+                const notice = await this._sendDuplicateNotice(VIOLATION_TYPES.SAME_USER_SAME_THREAD, message, embed, '⭕');
+                
+                this.violationLedger?.record(VIOLATION_TYPES.SAME_USER_SAME_THREAD, message, {
+                    url: item.url,
+                    originalMessageUrl: `https://discord.com/channels/${message.guild.id}/${existing.threadId}/${existing.messageId}`,
+                    originalUserId: existing.userId,
+                    action: notice.ledgerAction,
+                    details: item.details
+                });
+
+                // Send log to designated channel
+                await this.sendLogToChannel(
+                    `Same User Reposted ${item.label} in Same Thread`,
+                    [
+                        
+                        { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+                        { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
+                        { name: 'Original Message', value: `https://discord.com/channels/${message.guild.id}/${existing.threadId}/${existing.messageId}` },
+                        { name: item.label, value: item.value },
+                        { name: 'Warning', value: notice.action }
+                    ],
+                    message.channel.parentId
+                );
+                
+                logWithTimestamp(`Sent same-thread notification for: ${item.value}`, 'INFO');
+            }
+        }
+
+        return false;
+    }
+
+    // One-time repost permission granted by a moderator (/url allow). Only called once the
+    // item would be actioned as a duplicate, so a disabled scenario or a repost within the
+    // deleted-original threshold never uses it up.
+    async _useExemption(message, existing, item) {
+        if (!item.consumeExemption || !(await item.consumeExemption())) return false;
+
+        logWithTimestamp(`Repost exemption used by ${message.author.tag} for: ${item.value}`, 'INFO');
+        await this.sendLogToChannel(
+            'Repost Exemption Used',
+            [
+                { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+                { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
+                { name: 'Original Message', value: `https://discord.com/channels/${message.guild.id}/${existing.threadId}/${existing.messageId}` },
+                { name: item.label, value: item.value }
+            ],
+            message.channel.parentId
+        );
+        return true;
+    }
+
+    // Tell the member about a violation the way its type is configured (see notices.js)
+    async _sendNotice(type, message, embed, options) {
+        if (this.noticeDelivery) {
+            return this.noticeDelivery.deliver(type, message, { embeds: [embed] }, options);
+        }
+        await message.reply({ embeds: [embed] });
+        return { mode: 'public', action: 'replied' };
+    }
+
+    // Send a duplicate notice and mark the message with a reaction, unless the type is log-only
+    async _sendDuplicateNotice(type, message, embed, reaction) {
+        const notice = await this._sendNotice(type, message, embed);
+        if (notice.mode === 'log_only') {
+            return { ...notice, ledgerAction: notice.action };
+        }
+        await message.react(reaction);
+        return { ...notice, ledgerAction: `${notice.action}, reacted ${reaction}` };
+    }
+
+    // In shadow mode record the reply a duplicate scenario would send instead of sending it
+    _shadowDuplicate(message, existing, item, scenario) {
+        if (!this.shadowMode?.isShadow('urls')) return false;
+
+        this.shadowMode.record('urls', 'would warn', {
+            message,
+            url: item.url,
+            details: [
+                `${scenario}: ${item.value}`,
+                `original https://discord.com/channels/${message.guild.id}/${existing.threadId}/${existing.messageId}`,
+                item.details
+            ].filter(Boolean).join('; ')
+        });
+        return true;
+    }
+
+    /**
+     * Re-check a message after an edit. URLs that were added by the edit go through the
+     * same scenarios as a new message; URLs that were edited out are released from storage.
+     *
+     * @param {import('discord.js').Message} message  The edited message
+     * @param {string[]} urls  URLs found in the new content
+     * @param {string[]|null} previousUrls  URLs in the old content, or null if it wasn't cached
+     */
+    async handleUrlEdit(message, urls, previousUrls = null) {
+        try {
+            await this.urlStore.resolveUrls([...urls, ...(previousUrls || [])]);
+            const stored = this.urlStore.getUrlsForMessage(message.id);
+            const storedKeys = new Set(stored.map(entry => entry.canonicalUrl));
+            const previousKeys = new Set((previousUrls || []).map(url => this.urlStore.canonicalKey(url)));
+
+            const currentUrls = new Map();
+            for (const url of urls) {
+                const key = this.urlStore.canonicalKey(url);
+                if (!currentUrls.has(key)) currentUrls.set(key, url);
+            }
+
+            // Release URLs the edit removed
+            const removedKeys = stored
+                .map(entry => entry.canonicalUrl)
+                .filter(key => !currentUrls.has(key));
+            if (removedKeys.length > 0) {
+                await this.urlStore.releaseMessageUrls(message.id, removedKeys);
+                await this.sendLogToChannel(
+                    'URL Removed by Message Edit',
+                    [
+                        { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+                        { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
+                        { name: 'Released URLs', value: stored.filter(e => removedKeys.includes(e.canonicalUrl)).map(e => e.url).join('\n').slice(0, 1024) }
+                    ],
+                    message.channel.parentId
+                );
+            }
+
+            // Only URLs that are new to this message are checked; the rest were
+            // already handled when the message was posted or previously edited
+            const addedUrls = [...currentUrls.entries()]
+                .filter(([key]) => !storedKeys.has(key) && !previousKeys.has(key))
+                .map(([, url]) => url);
+
+            if (addedUrls.length === 0) {
+                return [];
+            }
+
+            logWithTimestamp(`Message ${message.id} edited with ${addedUrls.length} new URL(s)`, 'INFO');
+            return await this.handleUrlMessage(message, addedUrls);
+        } catch (error) {
+            logWithTimestamp(`Error handling URL edit: ${error.message}`, 'ERROR');
+            return [];
+        }
+    }
+
+    async fetchAllUrlsFromChannel(channelId, messageLimit = DEFAULT_MESSAGE_LIMIT) {
         try {
             const channel = await this.client.channels.fetch(channelId).catch(() => null);
             if (!channel) {
@@ -347,61 +653,30 @@ class UrlTracker {
             
             const urls = [];
             
-            // Check if it's a forum channel
-            if (channel.type === ChannelType.GuildForum) {
-                const threads = await channel.threads.fetch();
+            // Forum channels: every active and archived thread; regular channels: the channel itself
+            const sources = channel.type === ChannelType.GuildForum
+                ? await listChannelThreads(channel)
+                : [channel];
+            
+            for (const source of sources) {
+                let before = null;
+                let scanned = 0;
                 
-                for (const [threadId, thread] of threads.threads) {
-                    const messages = await thread.messages.fetch({ limit: 100 });
+                while (messageLimit === 0 || scanned < messageLimit) {
+                    const remaining = messageLimit === 0 ? 100 : messageLimit - scanned;
+                    const messages = await fetchMessagePage(source, before, remaining);
+                    if (messages.size === 0) break;
                     
                     messages.forEach(msg => {
                         if (msg.author.bot) return;
                         
-                        const foundUrls = msg.content.match(this.urlRegex);
-                        if (foundUrls) {
-                            const messageUrl = `https://discord.com/channels/${msg.guild.id}/${msg.channel.id}/${msg.id}`;
-                            foundUrls.forEach(url => {
-                                urls.push({
-                                    url,
-                                    timestamp: msg.createdTimestamp,
-                                    userId: msg.author.id,
-                                    author: msg.author.tag,
-                                    threadId: msg.channel.id,
-                                    forumChannelId: channel.id,
-                                    messageId: msg.id,
-                                    messageUrl: messageUrl,
-                                    guildId: msg.guild.id
-                                });
-                            });
-                        }
+                        extractUrls(msg).forEach(({ url }) => urls.push(buildUrlRecord(msg, url)));
                     });
-                }
-            } else {
-                // Regular channel
-                const messages = await channel.messages.fetch({ limit: 100 });
-                
-                messages.forEach(msg => {
-                    if (msg.author.bot) return;
                     
-                    const foundUrls = msg.content.match(this.urlRegex);
-                    if (foundUrls) {
-                        const messageUrl = `https://discord.com/channels/${msg.guild.id}/${msg.channel.id}/${msg.id}`;
-                        foundUrls.forEach(url => {
-                            urls.push({
-                                url,
-                                timestamp: msg.createdTimestamp,
-                                userId: msg.author.id,
-                                author: msg.author.tag,
-                                channelId: channel.id,
-                                threadId: channel.isThread() ? channel.id : null,
-                                forumChannelId: channel.isThread() ? channel.parent?.id : null,
-                                messageId: msg.id,
-                                messageUrl: messageUrl,
-                                guildId: msg.guild.id
-                            });
-                        });
-                    }
-                });
+                    before = messages.last().id;
+                    scanned += messages.size;
+                    if (messages.size < 100) break;
+                }
             }
             
             return urls;
@@ -0,0 +1,277 @@
+const EventEmitter = require('events');
+const { logWithTimestamp } = require('./utils');
+const { getDb } = require('./voting/db');
+
+// Persistent record of every rule violation the bot acts on, so repeat
+// offenders can be found later (dashboard Violations page, /api/violations).
+// Unpardoned violations are the strikes counted by strikes.js.
+
+const VIOLATION_TYPES = {
+    WRONG_THREAD: 'wrong_thread',
+    CROSS_USER_DUPLICATE: 'cross_user_duplicate',
+    SAME_USER_OTHER_THREAD: 'same_user_other_thread',
+    SAME_USER_SAME_THREAD: 'same_user_same_thread',
+    DELETED_REPOST: 'deleted_repost',
+    BLOCKED_URL: 'blocked_url'
+};
+
+const VIOLATION_SCHEMA = `
+CREATE TABLE IF NOT EXISTS violations (
+  id                    INTEGER PRIMARY KEY AUTOINCREMENT,
+  type                  TEXT NOT NULL,
+  user_id               TEXT NOT NULL,
+  user_name             TEXT,
+  guild_id              TEXT,
+  thread_id             TEXT,
+  message_id            TEXT,
+  message_url           TEXT,
+  url                   TEXT,
+  original_message_url  TEXT,
+  original_user_id      TEXT,
+  action                TEXT NOT NULL,
+  details               TEXT,
+  created_at            INTEGER NOT NULL,
+  pardoned_at           INTEGER,
+  pardoned_by           TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_violations_user    ON violations(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_violations_type    ON violations(type, created_at);
+CREATE INDEX IF NOT EXISTS idx_violations_created ON violations(created_at);
+`;
+
+// WHERE clause shared by the query functions
+function buildFilter({ userId, type, since, until } = {}) {
+    const conditions = [];
+    const params = [];
+    if (userId) {
+        conditions.push('user_id = ?');
+        params.push(userId);
+    }
+    if (type) {
+        conditions.push('type = ?');
+        params.push(type);
+    }
+    if (since) {
+        conditions.push('created_at >= ?');
+        params.push(since);
+    }
+    if (until) {
+        conditions.push('created_at < ?');
+        params.push(until);
+    }
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+function toViolation(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        userId: row.user_id,
+        userName: row.user_name,
+        guildId: row.guild_id,
+        threadId: row.thread_id,
+        messageId: row.message_id,
+        messageUrl: row.message_url,
+        url: row.url,
+        originalMessageUrl: row.original_message_url,
+        originalUserId: row.original_user_id,
+        action: row.action,
+        details: row.details,
+        createdAt: row.created_at,
+        pardonedAt: row.pardoned_at,
+        pardonedBy: row.pardoned_by
+    };
+}
+
+/**
+ * Violations matching the filter, newest first.
+ * Takes a db handle so the read-only dashboard connection can use it too.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{userId?: string, type?: string, since?: number, until?: number}} filter
+ * @param {number} limit
+ * @param {number} offset
+ * @returns {object[]}
+ */
+function queryViolations(db, filter = {}, limit = 50, offset = 0) {
+    const { where, params } = buildFilter(filter);
+    return db.prepare(`SELECT * FROM violations ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset)
+        .map(toViolation);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {{userId?: string, type?: string, since?: number, until?: number}} filter
+ * @returns {number}
+ */
+function countViolations(db, filter = {}) {
+    const { where, params } = buildFilter(filter);
+    return db.prepare(`SELECT COUNT(*) AS count FROM violations ${where}`).get(...params).count;
+}
+
+/**
+ * Users with the most violations matching the filter, with a per-type breakdown.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{type?: string, since?: number, until?: number}} filter
+ * @param {number} limit
+ * @returns {Array<{userId, userName, total, lastAt, byType: object}>}
+ */
+function getRepeatOffenders(db, filter = {}, limit = 20) {
+    const { where, params } = buildFilter({ ...filter, userId: null });
+    const offenders = db.prepare(`
+        SELECT user_id, MAX(user_name) AS user_name, COUNT(*) AS total, MAX(created_at) AS last_at
+        FROM violations ${where}
+        GROUP BY user_id
+        ORDER BY total DESC, last_at DESC
+        LIMIT ?
+    `).all(...params, limit);
+
+    const typeCounts = db.prepare(`
+        SELECT type, COUNT(*) AS count FROM violations
+        ${where ? `${where} AND` : 'WHERE'} user_id = ?
+        GROUP BY type
+    `);
+
+    return offenders.map(row => ({
+        userId: row.user_id,
+        userName: row.user_name,
+        total: row.total,
+        lastAt: row.last_at,
+        byType: Object.fromEntries(typeCounts.all(...params, row.user_id).map(t => [t.type, t.count]))
+    }));
+}
+
+// Emits 'violation' (violation, message) after each recorded violation
+class ViolationLedger extends EventEmitter {
+    constructor() {
+        super();
+        this.db = null;
+    }
+
+    init() {
+        this.db = getDb();
+        this.db.exec(VIOLATION_SCHEMA);
+        this._ensureColumns();
+        logWithTimestamp('Violation ledger initialized', 'STARTUP');
+    }
+
+    // Add columns introduced after the table was first created
+    _ensureColumns() {
+        const columns = new Set(this.db.prepare('PRAGMA table_info(violations)').all().map(col => col.name));
+        if (!columns.has('pardoned_at')) {
+            this.db.exec('ALTER TABLE violations ADD COLUMN pardoned_at INTEGER');
+        }
+        if (!columns.has('pardoned_by')) {
+            this.db.exec('ALTER TABLE violations ADD COLUMN pardoned_by TEXT');
+        }
+    }
+
+    /**
+     * Record a violation for a Discord message. Never throws - a failed write is logged
+     * so moderation actions still go ahead.
+     *
+     * @param {string} type  One of VIOLATION_TYPES
+     * @param {import('discord.js').Message} message  The offending message
+     * @param {{url?: string, originalMessageUrl?: string, originalUserId?: string, action: string, details?: string}} info
+     * @returns {number|null} the violation ID
+     */
+    record(type, message, info) {
+        if (!this.db) return null;
+
+        let id;
+        try {
+            const guildId = message.guild?.id || message.guildId || null;
+            const result = this.db.prepare(`
+                INSERT INTO violations
+                  (type, user_id, user_name, guild_id, thread_id, message_id, message_url,
+                   url, original_message_url, original_user_id, action, details, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                type,
+                message.author.id,
+                message.author.tag,
+                guildId,
+                message.channel.id,
+                message.id,
+                `https://discord.com/channels/${guildId}/${message.channel.id}/${message.id}`,
+                info.url || null,
+                info.originalMessageUrl || null,
+                info.originalUserId || null,
+                info.action,
+                info.details || null,
+                Date.now()
+            );
+            id = Number(result.lastInsertRowid);
+        } catch (error) {
+            logWithTimestamp(`Failed to record ${type} violation for ${message.author.id}: ${error.message}`, 'ERROR');
+            return null;
+        }
+
+        this.emit('violation', toViolation(this.db.prepare('SELECT * FROM violations WHERE id = ?').get(id)), message);
+        return id;
+    }
+
+    /**
+     * Count unpardoned violations (strikes) for a user since a point in time.
+     *
+     * @param {string} userId
+     * @param {number} since
+     * @param {string[]|null} types  Only count these types (null = all)
+     * @returns {number}
+     */
+    countStrikes(userId, since, types = null) {
+        const typeFilter = types && types.length > 0 ? `AND type IN (${types.map(() => '?').join(', ')})` : '';
+        return this.db.prepare(`
+            SELECT COUNT(*) AS count FROM violations
+            WHERE user_id = ? AND created_at >= ? AND pardoned_at IS NULL ${typeFilter}
+        `).get(userId, since, ...(types || [])).count;
+    }
+
+    /**
+     * Pardon a user's most recent unpardoned violations.
+     *
+     * @param {string} userId
+     * @param {number|null} count  How many to pardon (null = all)
+     * @param {string} pardonedBy  User ID of the admin
+     * @returns {number} violations pardoned
+     */
+    pardon(userId, count, pardonedBy) {
+        const result = this.db.prepare(`
+            UPDATE violations SET pardoned_at = ?, pardoned_by = ?
+            WHERE id IN (
+              SELECT id FROM violations WHERE user_id = ? AND pardoned_at IS NULL
+              ORDER BY created_at DESC, id DESC LIMIT ?
+            )
+        `).run(Date.now(), pardonedBy, userId, count === null ? -1 : count);
+        if (result.changes > 0) {
+            logWithTimestamp(`Pardoned ${result.changes} violations for user ${userId}`, 'INFO');
+        }
+        return result.changes;
+    }
+
+    query(filter, limit, offset) {
+        return queryViolations(this.db, filter, limit, offset);
+    }
+
+    count(filter) {
+        return countViolations(this.db, filter);
+    }
+
+    getRepeatOffenders(filter, limit) {
+        return getRepeatOffenders(this.db, filter, limit);
+    }
+}
+
+module.exports = {
+    ViolationLedger,
+    VIOLATION_TYPES,
+    queryViolations,
+    countViolations,
+    getRepeatOffenders
+};
@@ -63,6 +63,14 @@ const DEFAULT_SETTINGS = [
     ['multi_vote_mode', 'highest'],
     ['vote_emojis', JSON.stringify(['🧊', '🌤️', '⚡', '🔥', '💥'])],
     ['dashboard_password_hash', ''],
+    ['link_rules', '[]'],
+    ['dedup_policy', '{}'],
+    ['strike_policy', '{}'],
+    ['routing_settings', '{}'],
+    ['shadow_mode', '{}'],
+    ['command_permissions', '{}'],
+    ['message_templates', '{}'],
+    ['violation_delivery', '{}'],
 ];
 
 async function initDb() {
@@ -75,6 +75,15 @@ class VoteHandler {
         );
     }
 
+    /**
+     * Record a post the bot moved to another thread through a webhook (see relocator.js).
+     * The messageCreate listener skips webhook posts, so the relocation passes the post
+     * here with the original author.
+     */
+    async handleRelocatedMessage(message) {
+        await this._onMessageCreate(message);
+    }
+
     shutdown() {
         // No persistent connections to close — better-sqlite3 is managed by db.js
         logWithTimestamp('VoteHandler shutdown complete', 'SHUTDOWN');
@@ -189,9 +198,6 @@ class VoteHandler {
 
         if (!(await this._isTrackedThread(message.channel))) return;
 
-        // No self-voting
-        if (user.id === message.author.id) return;
-
         const voteValue = this.emojiToValue.get(emoji);
 
         // If post not in DB, try to backfill it
@@ -220,6 +226,9 @@ class VoteHandler {
             return;
         }
 
+        // No self-voting. Relocated posts are sent by a webhook, so the author comes from the post record
+        if (user.id === post.author_id) return;
+
         // Resolve voter's highest tracked role
         const trackedRoles = getSetting('tracked_roles') || [];
         const voterMember = await message.guild.members.fetch(user.id).catch(() => null);
@@ -231,7 +240,7 @@ class VoteHandler {
                 VALUES (?, ?, ?, ?, ?, ?)
             `).run(
                 message.id,
-                message.author.id,
+                post.author_id,
                 user.id,
                 voterRole ? voterRole.id : null,
                 voteValue,